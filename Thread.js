@@ -1,5 +1,6 @@
 const moment = require("moment");
 const Eris = require("eris");
+const crypto = require("crypto");
 
 const bot = require("../bot");
 const knex = require("../knex");
@@ -13,7 +14,19 @@ const { callAfterThreadCloseHooks } = require("../hooks/afterThreadClose");
 const { callAfterThreadCloseScheduledHooks } = require("../hooks/afterThreadCloseScheduled");
 const { callAfterThreadCloseScheduleCanceledHooks } = require("../hooks/afterThreadCloseScheduleCanceled");
 const snippets = require("./snippets");
+const search = require("./search");
+const transcripts = require("./transcripts");
+const sla = require("./sla");
+const inactivity = require("./inactivity");
+const scheduler = require("./scheduler");
+const replyApprovals = require("./replyApprovals");
+const replyDrafts = require("./replyDrafts");
+const notes = require("./notes");
+const messageRevisions = require("./messageRevisions");
+const dmQueue = require("./dmQueue");
+const channelQueue = require("./channelQueue");
 const { getModeratorThreadDisplayRoleName } = require("./displayRoles");
+const Paste = require("../database/models/transcript.js");
 
 const ThreadMessage = require("./ThreadMessage");
 
@@ -22,6 +35,12 @@ const {isBlocked} = require("./blocked");
 const {messageContentToAdvancedMessageContent} = require("../utils");
 
 const escapeFormattingRegex = new RegExp("[_`~*|]", "g");
+const pasteIdChars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+const DOWNTIME_RECOVERY_PAGE_SIZE = 100;
+const DEFAULT_DOWNTIME_RECOVERY_MAX_MESSAGES = 500;
+const DEFAULT_REOPEN_REPLAY_MESSAGES = 10;
+const SUSPENDED_SCHEDULED_REPLY_RETRY_DELAY = 5 * 60 * 1000;
 
 /**
  * @property {String} id
@@ -40,6 +59,12 @@ const escapeFormattingRegex = new RegExp("[_`~*|]", "g");
  * @property {Object} log_storage_data
  * @property {String} created_at
  * @property {String} metadata
+ * @property {String} assigned_to_id
+ * @property {String} assigned_to_name
+ * @property {String} assigned_at
+ * @property {String} close_reason
+ * @property {String} close_category
+ * @property {String} closed_at
  */
 class Thread {
   constructor(props) {
@@ -81,42 +106,118 @@ class Thread {
     // Try to open a DM channel with the user
     const dmChannel = await this.getDMChannel();
     if (! dmChannel) {
-      throw new Error("Could not open DMs with the user. They may have blocked the bot or set their privacy settings higher.");
+      const err = new Error("Could not open DMs with the user. They may have blocked the bot or set their privacy settings higher.");
+      err.dmsClosed = true;
+      throw err;
     }
 
     return dmChannel.createMessage(content, file);
   }
 
+  /**
+   * Sends content that may be over the message length limit as several DMs.
+   * The message reference is only kept on the first message, and files and embeds are only sent with the last one.
+   * If any of the messages fails to send, the ones that were already sent are deleted.
+   * @param {Eris.MessageContent} content
+   * @param {Eris.MessageFile|Eris.MessageFile[]} file
+   * @returns {Promise<Eris.Message[]>}
+   * @throws Error
+   * @private
+   */
+  async _sendMultipartDMToUser(content, file = null) {
+    const parts = this._splitMessageContent(content);
+    const sentMessages = [];
+
+    try {
+      for (const [i, part] of parts.entries()) {
+        const msg = (i === parts.length - 1)
+          ? await this._sendDMToUser(part, file)
+          : await this._sendDMToUser(part);
+        sentMessages.push(msg);
+      }
+    } catch (e) {
+      for (const msg of sentMessages) {
+        await msg.delete().catch(utils.noop);
+      }
+      throw e;
+    }
+
+    return sentMessages;
+  }
+
+  /**
+   * @param {Eris.MessageContent} content
+   * @returns {Eris.AdvancedMessageContent[]}
+   * @private
+   */
+  _splitMessageContent(content) {
+    const contentObj = messageContentToAdvancedMessageContent(content);
+    if (utils.messageContentIsWithinMaxLength(contentObj) || ! contentObj.content) {
+      return [contentObj];
+    }
+
+    const chunks = utils.chunkMessageLines(contentObj.content);
+    return chunks.map((chunk, i) => {
+      const part = { ...contentObj, content: chunk };
+      if (i > 0) {
+        delete part.messageReference;
+      }
+      if (i < chunks.length - 1) {
+        part.embed = null;
+        delete part.embeds;
+      }
+      return part;
+    });
+  }
+
   /**
    * @param {Eris.MessageContent} content
    * @param {Eris.MessageFile} file
+   * @param {object} opts
+   * @param {boolean} [opts.batchable] Whether the message may be merged with adjacent batchable messages, see channelQueue.
+   *   Only for messages that aren't logged, since logged messages are looked up by their own inbox message ID.
    * @return {Promise<Eris.Message|null>}
    * @private
    */
-  async _postToThreadChannel(content, file = null) {
-    try {
-      let firstMessage;
+  async _postToThreadChannel(content, file = null, opts = {}) {
+    const messages = await this._postMultipartToThreadChannel(content, file, opts);
+    return messages.length ? messages[0] : null;
+  }
 
+  /**
+   * Like _postToThreadChannel(), but returns every message the content was split into.
+   * All posts go through the channel's send queue so they arrive in order even when we're being rate limited.
+   * @param {Eris.MessageContent} content
+   * @param {Eris.MessageFile} file
+   * @param {object} opts
+   * @param {boolean} [opts.batchable]
+   * @return {Promise<Eris.Message[]>}
+   * @private
+   */
+  async _postMultipartToThreadChannel(content, file = null, opts = {}) {
+    const messages = [];
+    try {
       const textContent = typeof content === "string" ? content : content.content;
       const contentObj = typeof content === "string" ? {} : content;
       if (textContent) {
         // Text content is included, chunk it and send it as individual messages.
         // Files (attachments) are only sent with the last message.
+        // All chunks are queued at once so nothing else can end up between them.
         const chunks = utils.chunkMessageLines(textContent);
-        for (const [i, chunk] of chunks.entries()) {
+        const chunkMessages = await Promise.all(chunks.map((chunk, i) => {
           // Only send embeds, files, etc. with the last message
-          const msg = (i === chunks.length - 1)
-            ? await bot.createMessage(this.channel_id, { ...contentObj, content: chunk }, file)
-            : await bot.createMessage(this.channel_id, { ...contentObj, content: chunk, embed: null });
+          return (i === chunks.length - 1)
+            ? channelQueue.createMessage(this.channel_id, { ...contentObj, content: chunk }, file, opts)
+            : channelQueue.createMessage(this.channel_id, { ...contentObj, content: chunk, embed: null }, null, opts);
+        }));
 
-          firstMessage = firstMessage || msg;
-        }
+        messages.push(...chunkMessages);
       } else {
         // No text content, send as one message
-        firstMessage = await bot.createMessage(this.channel_id, content, file);
+        messages.push(await channelQueue.createMessage(this.channel_id, content, file, opts));
       }
 
-      return firstMessage;
+      return messages;
     } catch (e) {
       // Channel not found
       if (e.code === 10003) {
@@ -124,10 +225,12 @@ class Thread {
         this.close(true);
       } else if (e.code === 240000) {
         console.log(`[INFO] Failed to send message to thread channel for ${this.user_name} because the message contains a link blocked by the harmful links filter`);
-        await bot.createMessage(this.channel_id, "Failed to send message to thread channel because the message contains a link blocked by the harmful links filter");
+        await channelQueue.createMessage(this.channel_id, "Failed to send message to thread channel because the message contains a link blocked by the harmful links filter");
       } else {
         throw e;
       }
+
+      return messages;
     }
   }
 
@@ -170,11 +273,28 @@ class Thread {
   }
 
   /**
+   * Marks the thread message as deleted. The row is kept until it's purged after config.deletedMessageRetention.
+   * @param {number} id
+   * @param {string|null} deletedBy
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteThreadMessage(id, deletedBy = null) {
+    await knex("thread_messages")
+      .where("id", id)
+      .update({
+        deleted_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+        deleted_by: deletedBy,
+      });
+  }
+
+  /**
+   * Removes the thread message row for good. Only meant for messages that never reached anyone, e.g. failed replies.
    * @param {number} id
    * @returns {Promise<void>}
    * @private
    */
-  async _deleteThreadMessage(id) {
+  async _purgeThreadMessage(id) {
     await knex("thread_messages")
       .where("id", id)
       .delete();
@@ -207,12 +327,10 @@ class Thread {
    * @private
    */
   async _startAutoAlertTimer(modId) {
-    clearTimeout(this._autoAlertTimeout);
     const autoAlertDelay = utils.convertDelayStringToMS(config.autoAlertDelay);
-    this._autoAlertTimeout = setTimeout(() => {
-      if (this.status !== THREAD_STATUS.OPEN) return;
-      this.addAlert(modId);
-    }, autoAlertDelay);
+    await scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.AUTO_ALERT, moment.utc().add(autoAlertDelay, "ms"), {
+      userId: modId,
+    }, { replace: true });
   }
 
   /**
@@ -221,9 +339,25 @@ class Thread {
    * @param {Eris.MessageFile[]} replyAttachments
    * @param {boolean} isAnonymous
    * @param {Eris.MessageReference|null} messageReference
-   * @returns {Promise<boolean>} Whether we were able to send the reply
+   * @param {object} [opts]
+   * @param {string|Date|moment.Moment} [opts.sendAt] Store the reply and send it at this time instead of right away
+   * @param {Eris.Member|{ id: string }} [opts.approvedBy] Set when sending a reply that went through the approval workflow
+   * @returns {Promise<boolean>} Whether we were able to send (or schedule) the reply
    */
-  async replyToUser(moderator, text, replyAttachments = [], isAnonymous = false, messageReference = null) {
+  async replyToUser(moderator, text, replyAttachments = [], isAnonymous = false, messageReference = null, opts = {}) {
+    if (config.enforceThreadClaims && ! this.canReply(moderator)) {
+      await this.postSystemMessage(`This thread is claimed by ${this.assigned_to_name}. Only they can reply to it.`);
+      return false;
+    }
+
+    if (replyApprovals.requiresReplyApproval(moderator) && ! opts.approvedBy) {
+      return this._submitReplyForApproval(moderator, text, replyAttachments, isAnonymous, messageReference, opts.sendAt);
+    }
+
+    if (opts.sendAt) {
+      return this._scheduleReply(moderator, text, replyAttachments, isAnonymous, messageReference, opts.sendAt, opts.approvedBy);
+    }
+
     const regularName = config.useDisplaynames ? moderator.user.globalName || moderator.user.username : moderator.user.username;
     let moderatorName = config.useNicknames && moderator.nick ? moderator.nick : regularName;
     if (config.breakFormattingForNames) {
@@ -233,11 +367,13 @@ class Thread {
     const roleName = await getModeratorThreadDisplayRoleName(moderator, this.id);
     /** @var {Eris.MessageReference|null} userMessageReference */
     let userMessageReference = null;
+    let repliedToThreadMessageId = null;
 
     // Handle replies
     if (config.relayInlineReplies && messageReference) {
       const repliedTo = await this.getThreadMessageForMessageId(messageReference.messageID);
       if (repliedTo) {
+        repliedToThreadMessageId = repliedTo.id;
         userMessageReference = {
           channelID: repliedTo.dm_channel_id,
           messageID: repliedTo.dm_message_id,
@@ -301,6 +437,9 @@ class Thread {
       role_name: roleName,
       attachments: attachmentLinks,
     });
+    if (repliedToThreadMessageId) {
+      rawThreadMessage.setMetadataValue("inlineReplyToThreadMessageId", repliedToThreadMessageId);
+    }
     const threadMessage = await this._addThreadMessageToDB(rawThreadMessage.getSQLProps());
 
     const dmContent = messageContentToAdvancedMessageContent(await formatters.formatStaffReplyDM(threadMessage));
@@ -320,36 +459,42 @@ class Thread {
       };
     }
 
-    // Because moderator replies have to be editable, we enforce them to fit within 1 message
-    if (! utils.messageContentIsWithinMaxLength(dmContent) || ! utils.messageContentIsWithinMaxLength(inboxContent)) {
-      await this._deleteThreadMessage(threadMessage.id);
-      await this.postSystemMessage("Reply is too long! Make sure your reply is under 2000 characters total, moderator name in the reply included.");
-      return false;
-    }
-
-    // Send the reply DM
-    let dmMessage;
+    // Send the reply DM. Long replies are split into several messages, which are all tracked on the same thread message.
+    // Replies that fail with a temporary error (rate limits, Discord outages) are queued and retried later.
+    let dmMessages = [];
+    let deliveryError = null;
     try {
-      dmMessage = await this._sendDMToUser(dmContent, files);
+      dmMessages = await this._sendMultipartDMToUser(dmContent, files);
     } catch (e) {
-      await this._deleteThreadMessage(threadMessage.id);
-      await this.postSystemMessage(`Error while replying to user: ${e.message}`);
-      return false;
+      if (! dmQueue.isTemporaryDeliveryError(e)) {
+        await this._purgeThreadMessage(threadMessage.id);
+        if (dmQueue.isDMsClosedError(e)) {
+          await this._markDMsClosed(e);
+        } else {
+          await this.postSystemMessage(`Error while replying to user: ${e.message}`);
+        }
+        return false;
+      }
+
+      deliveryError = e;
     }
 
     // Special case: "original" attachments
-    if (config.attachmentStorage === "original") {
-      threadMessage.attachments = dmMessage.attachments.map(att => att.url);
+    if (config.attachmentStorage === "original" && dmMessages.length) {
+      threadMessage.attachments = dmMessages[dmMessages.length - 1].attachments.map(att => att.url);
     }
 
-    threadMessage.dm_message_id = dmMessage.id;
+    // Show the reply in the inbox thread
+    const inboxMessages = await this._postMultipartToThreadChannel(inboxContent, files);
+
+    this._setMessagePartIds(threadMessage, dmMessages.map(msg => msg.id), inboxMessages.map(msg => msg.id));
     await this._updateThreadMessage(threadMessage.id, threadMessage.getSQLProps());
 
-    // Show the reply in the inbox thread
-    const inboxMessage = await this._postToThreadChannel(inboxContent, files);
-    if (inboxMessage) {
-      threadMessage.inbox_message_id = inboxMessage.id;
-      await this._updateThreadMessage(threadMessage.id, { inbox_message_id: inboxMessage.id });
+    if (deliveryError) {
+      await dmQueue.enqueue(threadMessage, deliveryError);
+      await this.postSystemMessage(`⏳ Reply #${threadMessage.message_number} could not be delivered yet (${deliveryError.message}). It has been queued and will be retried automatically.`);
+    } else if (this.getMetadataValue("dmsClosed")) {
+      await this.setMetadataValue("dmsClosed", null);
     }
 
     // Interrupt scheduled closing, if in progress
@@ -358,183 +503,937 @@ class Thread {
       await this.postSystemMessage("Cancelling scheduled closing of this thread due to new reply");
     }
 
+    await this._resetInactivityTimer();
+
     // If enabled, set up a reply alert for the moderator after a slight delay
     if (config.autoAlert) {
-      this._startAutoAlertTimer(moderator.id);
+      await this._startAutoAlertTimer(moderator.id);
     }
 
     return true;
   }
 
   /**
-   * @param {Eris.Message} msg
-   * @returns {Promise<void>}
+   * @param {Eris.Member} moderator
+   * @param {string} text
+   * @param {Eris.MessageFile[]} replyAttachments
+   * @param {boolean} isAnonymous
+   * @param {Eris.MessageReference|null} messageReference
+   * @param {string|Date|moment.Moment} sendAt
+   * @param {Eris.Member|{ id: string }|null} approvedBy
+   * @returns {Promise<boolean>}
+   * @private
    */
-  async receiveUserReply(msg, skipAlert = false) {
-    const user = msg.author;
-    const opts = {
-      thread: this,
-      message: msg,
+  async _scheduleReply(moderator, text, replyAttachments, isAnonymous, messageReference, sendAt, approvedBy = null) {
+    // Attachment links from Discord expire, so they can't be held on to until the reply goes out
+    if (replyAttachments.length > 0) {
+      await this.postSystemMessage("Replies with attachments can't be scheduled");
+      return false;
+    }
+
+    const runAt = moment.utc(sendAt);
+    if (! runAt.isValid() || runAt.isBefore(moment.utc())) {
+      await this.postSystemMessage("Scheduled replies must be sent at a time in the future");
+      return false;
+    }
+
+    const moderatorName = this._getStaffDisplayName(moderator);
+    const payload = {
+      moderatorId: moderator.id,
+      text,
+      isAnonymous: Boolean(isAnonymous),
+      messageReference: messageReference
+        ? { channelID: messageReference.channelID, messageID: messageReference.messageID }
+        : null,
+      approvedById: approvedBy ? approvedBy.id : null,
+      inboxMessageId: null,
     };
-    let hookResult;
 
-    // Call any registered beforeNewMessageReceivedHooks
-    hookResult = await callBeforeNewMessageReceivedHooks({
-      user,
-      opts,
-      message: opts.message
+    const job = await scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.SCHEDULED_REPLY, runAt, payload, {
+      createdBy: { id: moderator.id, name: moderatorName },
     });
-    if (hookResult.cancelled) return;
 
-    let messageContent = msg.content || "";
-
-    // Prepare attachments
-    const attachmentLinks = [];
-    const smallAttachmentLinks = [];
-    const attachmentFiles = [];
+    const previewMsg = await this._postToThreadChannel(this._formatScheduledReplyPreview(job));
+    if (previewMsg) {
+      payload.inboxMessageId = previewMsg.id;
+      await scheduler.updateJob(job.id, { payload });
+    }
 
-    for (const attachment of msg.attachments) {
-      const savedAttachment = await attachments.saveAttachment(attachment);
+    return true;
+  }
 
-      // Forward small attachments (<2MB) as attachments, link to larger ones
-      if (config.relaySmallAttachmentsAsAttachments && attachment.size <= config.smallAttachmentLimit) {
-        const file = await attachments.attachmentToDiscordFileObject(attachment);
-        attachmentFiles.push(file);
-        smallAttachmentLinks.push(savedAttachment.url);
-      }
+  /**
+   * @param {object} job
+   * @returns {string}
+   * @private
+   */
+  _formatScheduledReplyPreview(job) {
+    const sendAtUnix = moment.utc(job.run_at, "YYYY-MM-DD HH:mm:ss").unix();
+    const anonymousStr = job.payload.isAnonymous ? " (anonymous)" : "";
+    return `🕒 **Scheduled reply** \`${job.id}\` from ${job.created_by_name}${anonymousStr}, sending <t:${sendAtUnix}:f>:\n${job.payload.text}`;
+  }
 
-      attachmentLinks.push(savedAttachment.url);
-    }
+  /**
+   * @returns {Promise<object[]>} This thread's pending scheduled replies, soonest first
+   */
+  async getScheduledReplies() {
+    const jobs = await scheduler.getJobsForThread(this.id);
+    return jobs.filter(job => job.type === scheduler.JOB_TYPE.SCHEDULED_REPLY);
+  }
 
-    // Handle inline replies
-    /** @var {Eris.MessageReference|null} messageReference */
-    let messageReference = null;
-    if (config.relayInlineReplies && msg.referencedMessage) {
-      const repliedTo = await this.getThreadMessageForMessageId(msg.referencedMessage.id);
-      if (repliedTo) {
-        messageReference = {
-          channelID: this.channel_id,
-          messageID: repliedTo.inbox_message_id,
-        };
-      }
-    }
+  /**
+   * @param {number} jobId
+   * @returns {Promise<object|null>}
+   * @private
+   */
+  async _getScheduledReply(jobId) {
+    const job = await scheduler.getJob(jobId);
+    return job && job.thread_id === this.id && job.type === scheduler.JOB_TYPE.SCHEDULED_REPLY ? job : null;
+  }
 
-    // Handle special embeds (listening party invites etc.)
-    if (msg.activity) {
-      let applicationName = msg.application && msg.application.name;
+  /**
+   * @param {Eris.Member} moderator
+   * @param {number} jobId
+   * @param {object} changes
+   * @param {string} [changes.text]
+   * @param {string|Date|moment.Moment} [changes.sendAt]
+   * @returns {Promise<boolean>} Whether the scheduled reply was found and updated
+   */
+  async editScheduledReply(moderator, jobId, changes) {
+    const job = await this._getScheduledReply(jobId);
+    if (! job) return false;
 
-      if (! applicationName && msg.activity.party_id.startsWith("spotify:")) {
-        applicationName = "Spotify";
-      }
+    if (changes.sendAt && (! moment.utc(changes.sendAt).isValid() || moment.utc(changes.sendAt).isBefore(moment.utc()))) {
+      await this.postSystemMessage("Scheduled replies must be sent at a time in the future");
+      return false;
+    }
 
-      if (! applicationName) {
-        applicationName = "Unknown Application";
-      }
+    const payload = { ...job.payload };
+    if (changes.text != null) payload.text = changes.text;
 
-      let activityText;
-      if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.JOIN || msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.JOIN_REQUEST) {
-        activityText = "join a game";
-      } else if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.SPECTATE) {
-        activityText = "spectate";
-      } else if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.LISTEN) {
-        activityText = "listen along";
-      } else {
-        activityText = "do something";
-      }
+    const updatedJob = await scheduler.updateJob(job.id, { payload, runAt: changes.sendAt });
+    if (! updatedJob) return false;
 
-      messageContent += `\n\n*<This message contains an invite to ${activityText} on ${applicationName}>*`;
-      messageContent = messageContent.trim();
+    if (payload.inboxMessageId) {
+      await bot.editMessage(this.channel_id, payload.inboxMessageId, this._formatScheduledReplyPreview(updatedJob)).catch(utils.noop);
     }
 
-    if (msg.stickerItems && msg.stickerItems.length) {
-      const stickerLines = msg.stickerItems.map(sticker => {
-        return `*Sent sticker "${sticker.name}":* https://media.discordapp.net/stickers/${sticker.id}.webp?size=160`
-      })
+    await this.postSystemMessage(`Scheduled reply \`${job.id}\` edited by ${this._getStaffDisplayName(moderator)}`);
+    return true;
+  }
 
-      messageContent += "\n\n" + stickerLines.join("\n");
+  /**
+   * @param {Eris.Member} moderator
+   * @param {number} jobId
+   * @returns {Promise<boolean>} Whether the scheduled reply was found and cancelled
+   */
+  async cancelScheduledReply(moderator, jobId) {
+    const job = await this._getScheduledReply(jobId);
+    if (! job || ! await scheduler.cancelJob(job.id)) return false;
+
+    if (job.payload.inboxMessageId) {
+      await bot.deleteMessage(this.channel_id, job.payload.inboxMessageId).catch(utils.noop);
     }
 
-    messageContent = messageContent.trim();
+    await this.postSystemMessage(`Scheduled reply \`${job.id}\` cancelled by ${this._getStaffDisplayName(moderator)}`);
+    return true;
+  }
 
-    // Save DB entry
-    let threadMessage = new ThreadMessage({
-      message_type: THREAD_MESSAGE_TYPE.FROM_USER,
-      user_id: this.user_id,
-      user_name: config.useDisplaynames ? msg.author.globalName || msg.author.username : msg.author.username,
-      body: messageContent,
-      is_anonymous: 0,
-      dm_message_id: msg.id,
-      dm_channel_id: msg.channel.id,
-      attachments: attachmentLinks,
-      small_attachments: smallAttachmentLinks,
-    });
+  /**
+   * Sends a scheduled reply that has become due. Called by the scheduler.
+   * @param {object} job
+   * @returns {Promise<void>}
+   */
+  async sendScheduledReply(job) {
+    // The scheduler has already removed the job, so replies that come due while the thread is suspended are scheduled
+    // again until it's unsuspended
+    if (this.status === THREAD_STATUS.SUSPENDED) {
+      const retryAt = moment.utc().add(SUSPENDED_SCHEDULED_REPLY_RETRY_DELAY, "ms");
+      const heldJob = await scheduler.scheduleJob(this.id, job.type, retryAt, job.payload, {
+        createdBy: { id: job.created_by_id, name: job.created_by_name },
+      });
+      if (job.payload.inboxMessageId) {
+        await bot.editMessage(this.channel_id, job.payload.inboxMessageId, this._formatScheduledReplyPreview(heldJob)).catch(utils.noop);
+      }
+      return;
+    }
 
-    threadMessage = await this._addThreadMessageToDB(threadMessage.getSQLProps());
+    if (! this.isOpen()) return;
 
-    // Show user reply in the inbox thread
-    const inboxContent = messageContentToAdvancedMessageContent(await formatters.formatUserReplyThreadMessage(threadMessage));
-    if (messageReference) {
-      inboxContent.messageReference = {
-        channelID: messageReference.channelID,
-        messageID: messageReference.messageID,
-        failIfNotExists: false,
-      };
-    }
-    const inboxMessage = await this._postToThreadChannel(inboxContent, attachmentFiles);
-    if (inboxMessage) {
-      await this._updateThreadMessage(threadMessage.id, { inbox_message_id: inboxMessage.id });
+    const moderator = await this._getInboxMember(job.payload.moderatorId);
+    if (! moderator) {
+      if (job.payload.inboxMessageId) {
+        await bot.deleteMessage(this.channel_id, job.payload.inboxMessageId).catch(utils.noop);
+      }
+      await this.postSystemMessage(`Scheduled reply \`${job.id}\` from ${job.created_by_name} was not sent because they are no longer on the server:\n${job.payload.text}`);
+      return;
     }
 
-    if (config.reactOnSeen) {
-      await msg.addReaction(config.reactOnSeenEmoji).catch(utils.noop);
+    // Replies that were already approved must not go back for approval when they come due.
+    // The approver may have left the server since, in which case only their ID is known.
+    let approvedBy = null;
+    if (job.payload.approvedById) {
+      approvedBy = await this._getInboxMember(job.payload.approvedById) || { id: job.payload.approvedById };
     }
 
-    // Call any registered afterNewMessageReceivedHooks
-    await callAfterNewMessageReceivedHooks({
-      user,
-      opts,
-      message: opts.message
-    });
-
-    // Interrupt scheduled closing, if in progress
-    if (this.scheduled_close_at) {
-      await this.cancelScheduledClose();
-      await this.postSystemMessage(`<@!${this.scheduled_close_id}> Thread that was scheduled to be closed got a new reply. Cancelling.`, {
-        allowedMentions: {
-          users: [this.scheduled_close_id],
-        },
+    let sent = false;
+    try {
+      sent = await this.replyToUser(moderator, job.payload.text, [], job.payload.isAnonymous, job.payload.messageReference, {
+        approvedBy,
       });
+    } catch (e) {
+      console.error(`Failed to send scheduled reply ${job.id} in thread ${this.id}: ${e.message}`);
     }
 
-    if (this.alert_ids && ! skipAlert) {
-      const ids = this.alert_ids.split(",");
-      const mentionsStr = ids.map(id => `<@!${id}> `).join("");
+    // The preview is the only copy of a reply that failed to send, so it's kept in that case
+    if (! sent) {
+      await this.postSystemMessage(`❌ Scheduled reply \`${job.id}\` from ${job.created_by_name} could not be sent. Its text is in the preview above.`);
+      return;
+    }
 
-      await this.deleteAlerts();
-      await this.postSystemMessage(`${mentionsStr}New message from ${this.user_name}`, {
-        allowedMentions: {
-          users: ids,
-        },
-      });
+    if (job.payload.inboxMessageId) {
+      await bot.deleteMessage(this.channel_id, job.payload.inboxMessageId).catch(utils.noop);
     }
   }
 
   /**
-   * @returns {Promise<PrivateChannel>}
+   * @param {string} userId
+   * @returns {Promise<Eris.Member|null>}
+   * @private
    */
-  getDMChannel() {
-    return bot.getDMChannel(this.user_id);
+  async _getInboxMember(userId) {
+    const inboxGuild = utils.getInboxGuild();
+    return inboxGuild.members.get(userId)
+      || await bot.getRESTGuildMember(inboxGuild.id, userId).catch(() => null);
   }
 
   /**
+   * Posts the reply in the thread channel as a draft with approve, edit and reject buttons instead of sending it
+   * @param {Eris.Member} moderator
    * @param {string} text
-   * @param {object} opts
-   * @param {object} [opts.allowedMentions] Allowed mentions for the thread channel message
-   * @param {boolean} [opts.allowedMentions.everyone]
-   * @param {boolean|string[]} [opts.allowedMentions.roles]
-   * @param {boolean|string[]} [opts.allowedMentions.users]
-   * @param {Eris.MessageReference} [opts.messageReference]
-   * @returns {Promise<void>}
+   * @param {Eris.MessageFile[]} replyAttachments
+   * @param {boolean} isAnonymous
+   * @param {Eris.MessageReference|null} messageReference
+   * @param {string|Date|moment.Moment|null} sendAt
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _submitReplyForApproval(moderator, text, replyAttachments, isAnonymous, messageReference, sendAt) {
+    // Attachment links from Discord expire, so they can't be held on to while the reply waits for review
+    if (replyAttachments.length > 0) {
+      await this.postSystemMessage("Replies with attachments can't be submitted for approval");
+      return false;
+    }
+
+    if (sendAt && ! moment.utc(sendAt).isValid()) {
+      await this.postSystemMessage("Scheduled replies must be sent at a time in the future");
+      return false;
+    }
+
+    const pendingReply = await replyApprovals.createPendingReply({
+      threadId: this.id,
+      author: { id: moderator.id, name: this._getStaffDisplayName(moderator) },
+      body: text,
+      isAnonymous: Boolean(isAnonymous),
+      messageReference: messageReference
+        ? { channelID: messageReference.channelID, messageID: messageReference.messageID }
+        : null,
+      sendAt: sendAt ? moment.utc(sendAt).format("YYYY-MM-DD HH:mm:ss") : null,
+    });
+
+    const inboxMsg = await this._postToThreadChannel({
+      content: this._formatPendingReply(pendingReply),
+      components: replyApprovals.getApprovalComponents(this.id, pendingReply.id),
+    });
+    if (! inboxMsg) {
+      await replyApprovals.deletePendingReply(pendingReply.id);
+      return false;
+    }
+
+    await replyApprovals.updatePendingReply(pendingReply.id, { inbox_message_id: inboxMsg.id });
+    return true;
+  }
+
+  /**
+   * @param {object} pendingReply
+   * @param {string} [status] Shown instead of the buttons once the reply has been handled
+   * @returns {string}
+   * @private
+   */
+  _formatPendingReply(pendingReply, status = null) {
+    const anonymousStr = pendingReply.is_anonymous ? " (anonymous)" : "";
+    const editedStr = pendingReply.edited_by_name ? ` *(edited by ${pendingReply.edited_by_name})*` : "";
+    const sendAtStr = pendingReply.send_at ? `, to be sent <t:${moment.utc(pendingReply.send_at, "YYYY-MM-DD HH:mm:ss").unix()}:f>` : "";
+    const header = status || "📋 **Reply pending approval**";
+    return `${header} from ${pendingReply.author_name}${anonymousStr}${sendAtStr}${editedStr}:\n${pendingReply.body}`;
+  }
+
+  /**
+   * @param {number} pendingReplyId
+   * @returns {Promise<object|null>} The reply, if it belongs to this thread and is still waiting for review
+   */
+  async getPendingReply(pendingReplyId) {
+    const pendingReply = await replyApprovals.getPendingReply(pendingReplyId);
+    return pendingReply && pendingReply.thread_id === this.id && pendingReply.status === replyApprovals.PENDING_REPLY_STATUS.PENDING
+      ? pendingReply
+      : null;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Replies waiting for approval, oldest first
+   */
+  async getPendingReplies() {
+    return replyApprovals.getPendingRepliesForThread(this.id);
+  }
+
+  /**
+   * Sends a pending reply under its original author's name and records the approver in the thread's metadata
+   * @param {Eris.Member} approver
+   * @param {number} pendingReplyId
+   * @returns {Promise<boolean>} Whether the reply was sent (or scheduled)
+   */
+  async approvePendingReply(approver, pendingReplyId) {
+    const pendingReply = await this.getPendingReply(pendingReplyId);
+    if (! pendingReply) return false;
+
+    const author = await this._getInboxMember(pendingReply.author_id);
+    if (! author) {
+      await this.postSystemMessage(`The reply from ${pendingReply.author_name} can't be sent because they are no longer on the server`);
+      return false;
+    }
+
+    const approverName = this._getStaffDisplayName(approver);
+    const reviewed = await replyApprovals.reviewPendingReply(pendingReply.id, replyApprovals.PENDING_REPLY_STATUS.APPROVED, {
+      id: approver.id,
+      name: approverName,
+    });
+    if (! reviewed) return false;
+
+    // Replies approved after their send time has passed go out right away
+    const sendAt = pendingReply.send_at && moment.utc(pendingReply.send_at, "YYYY-MM-DD HH:mm:ss").isAfter(moment.utc())
+      ? moment.utc(pendingReply.send_at, "YYYY-MM-DD HH:mm:ss")
+      : null;
+    const sent = await this.replyToUser(author, pendingReply.body, [], pendingReply.is_anonymous, pendingReply.message_reference, {
+      approvedBy: approver,
+      sendAt,
+    });
+    if (! sent) {
+      await replyApprovals.reopenPendingReply(pendingReply.id);
+      return false;
+    }
+
+    await this.setMetadataValue("replyApprovals", [
+      ...(this.getMetadataValue("replyApprovals") || []),
+      {
+        pendingReplyId: pendingReply.id,
+        authorId: pendingReply.author_id,
+        authorName: pendingReply.author_name,
+        approvedById: approver.id,
+        approvedByName: approverName,
+        approvedAt: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+        editedByName: pendingReply.edited_by_name,
+      },
+    ]);
+
+    if (pendingReply.inbox_message_id) {
+      await bot.editMessage(this.channel_id, pendingReply.inbox_message_id, {
+        content: this._formatPendingReply(pendingReply, `✅ **Reply approved by ${approverName}**`),
+        components: [],
+      }).catch(utils.noop);
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Eris.Member} editor
+   * @param {number} pendingReplyId
+   * @param {string} newText
+   * @returns {Promise<boolean>} Whether the pending reply was found and updated
+   */
+  async editPendingReply(editor, pendingReplyId, newText) {
+    const pendingReply = await this.getPendingReply(pendingReplyId);
+    if (! pendingReply) return false;
+
+    const editedByName = this._getStaffDisplayName(editor);
+    const updated = await replyApprovals.updatePendingReply(pendingReply.id, {
+      body: newText,
+      edited_by_name: editedByName,
+    });
+    if (! updated) return false;
+
+    if (pendingReply.inbox_message_id) {
+      await bot.editMessage(this.channel_id, pendingReply.inbox_message_id, {
+        content: this._formatPendingReply({ ...pendingReply, body: newText, edited_by_name: editedByName }),
+        components: replyApprovals.getApprovalComponents(this.id, pendingReply.id),
+      }).catch(utils.noop);
+    }
+
+    return true;
+  }
+
+  /**
+   * @param {Eris.Member} moderator
+   * @param {number} pendingReplyId
+   * @returns {Promise<boolean>} Whether the pending reply was found and rejected
+   */
+  async rejectPendingReply(moderator, pendingReplyId) {
+    const pendingReply = await this.getPendingReply(pendingReplyId);
+    if (! pendingReply) return false;
+
+    const moderatorName = this._getStaffDisplayName(moderator);
+    const reviewed = await replyApprovals.reviewPendingReply(pendingReply.id, replyApprovals.PENDING_REPLY_STATUS.REJECTED, {
+      id: moderator.id,
+      name: moderatorName,
+    });
+    if (! reviewed) return false;
+
+    if (pendingReply.inbox_message_id) {
+      await bot.editMessage(this.channel_id, pendingReply.inbox_message_id, {
+        content: this._formatPendingReply(pendingReply, `❌ **Reply rejected by ${moderatorName}**`),
+        components: [],
+      }).catch(utils.noop);
+    }
+
+    await this.postSystemMessage(`<@!${pendingReply.author_id}> Your reply was rejected by ${moderatorName}`, {
+      allowedMentions: {
+        users: [pendingReply.author_id],
+      },
+    });
+
+    return true;
+  }
+
+  /**
+   * @returns {Promise<object|null>} The thread's shared reply draft, if any. See replyDrafts.getDraftForThread().
+   */
+  async getReplyDraft() {
+    return replyDrafts.getDraftForThread(this.id);
+  }
+
+  /**
+   * Saves a new version of the thread's shared reply draft, creating the draft with the moderator as its owner if there isn't one yet.
+   * The preview in the thread channel is updated to match.
+   * @param {Eris.Member} moderator
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {boolean} [opts.isAnonymous] Keeps the draft's current setting if left out
+   * @returns {Promise<object>} The updated draft
+   */
+  async saveReplyDraft(moderator, text, opts = {}) {
+    const moderatorName = this._getStaffDisplayName(moderator);
+    const existingDraft = await this.getReplyDraft();
+
+    await replyDrafts.addDraftVersion(this.id, {
+      owner: existingDraft
+        ? { id: existingDraft.ownerId, name: existingDraft.ownerName }
+        : { id: moderator.id, name: moderatorName },
+      editor: { id: moderator.id, name: moderatorName },
+      text,
+      isAnonymous: opts.isAnonymous != null ? opts.isAnonymous : Boolean(existingDraft && existingDraft.isAnonymous),
+    });
+
+    const draft = await this.getReplyDraft();
+    const latestVersion = draft.versions[draft.versions.length - 1];
+    draft.previewMessageId = await this._updateReplyDraftPreview(draft);
+    await replyDrafts.setPreviewMessageId(latestVersion.id, draft.previewMessageId);
+
+    return draft;
+  }
+
+  /**
+   * Saves an earlier version's text as the draft's newest version
+   * @param {Eris.Member} moderator
+   * @param {number} version
+   * @returns {Promise<object|null>} The updated draft, or null if there's no such version
+   */
+  async restoreReplyDraftVersion(moderator, version) {
+    const draft = await this.getReplyDraft();
+    const draftVersion = draft && draft.versions.find(v => v.version === version);
+    if (! draftVersion) return null;
+
+    return this.saveReplyDraft(moderator, draftVersion.text);
+  }
+
+  /**
+   * Sends the latest version of the draft as a reply from the given moderator and clears the draft
+   * @param {Eris.Member} moderator
+   * @returns {Promise<boolean>} Whether the reply was sent
+   */
+  async sendReplyDraft(moderator) {
+    const draft = await this.getReplyDraft();
+    if (! draft) return false;
+
+    const latestVersion = draft.versions[draft.versions.length - 1];
+    const sent = await this.replyToUser(moderator, latestVersion.text, [], draft.isAnonymous);
+    if (sent) {
+      await this._clearReplyDraft(draft);
+    }
+
+    return sent;
+  }
+
+  /**
+   * @param {Eris.Member} moderator
+   * @returns {Promise<boolean>} Whether there was a draft to discard
+   */
+  async discardReplyDraft(moderator) {
+    const draft = await this.getReplyDraft();
+    if (! draft) return false;
+
+    await this._clearReplyDraft(draft);
+    await this.postSystemMessage(`Reply draft discarded by ${this._getStaffDisplayName(moderator)}`);
+    return true;
+  }
+
+  /**
+   * @param {object|null} draft Pass the draft to delete its preview from the thread channel too
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _clearReplyDraft(draft = null) {
+    if (draft && draft.previewMessageId) {
+      await bot.deleteMessage(this.channel_id, draft.previewMessageId).catch(utils.noop);
+    }
+
+    await replyDrafts.clearDraftForThread(this.id);
+  }
+
+  /**
+   * Renders the draft's latest version the way the user would see it, and posts it in the thread channel
+   * (or edits the existing preview). Drafts are sent under the name and role of whoever sends them,
+   * so the preview shows a placeholder for those.
+   * @param {object} draft
+   * @returns {Promise<string|null>} The ID of the preview message
+   * @private
+   */
+  async _updateReplyDraftPreview(draft) {
+    const latestVersion = draft.versions[draft.versions.length - 1];
+    const previewThreadMessage = new ThreadMessage({
+      message_type: THREAD_MESSAGE_TYPE.TO_USER,
+      user_id: null,
+      user_name: "[sending moderator]",
+      body: latestVersion.text,
+      is_anonymous: (draft.isAnonymous ? 1 : 0),
+      role_name: null,
+      attachments: [],
+    });
+
+    const previewContent = messageContentToAdvancedMessageContent(await formatters.formatStaffReplyDM(previewThreadMessage));
+    const editedStr = latestVersion.editorId !== draft.ownerId ? `, last edited by ${latestVersion.editorName}` : "";
+    const header = `📝 **Reply draft** by ${draft.ownerName} (version ${latestVersion.version}${editedStr}). `
+      + "The user will see this under the name and role of whoever sends it:";
+    previewContent.content = previewContent.content ? `${header}\n${previewContent.content}` : header;
+
+    if (! utils.messageContentIsWithinMaxLength(previewContent)) {
+      previewContent.content = `${header}\n*The draft is too long to preview in one message. It will be split into several messages when sent.*`;
+    }
+
+    if (draft.previewMessageId) {
+      const edited = await bot.editMessage(this.channel_id, draft.previewMessageId, previewContent).catch(() => null);
+      if (edited) return draft.previewMessageId;
+    }
+
+    const previewMsg = await this._postToThreadChannel(previewContent);
+    return previewMsg ? previewMsg.id : null;
+  }
+
+  /**
+   * Builds the logged body of a user's DM: its text plus descriptions of any activity invite and stickers
+   * @param {Eris.Message} msg
+   * @returns {string}
+   * @private
+   */
+  _buildUserMessageBody(msg) {
+    let messageContent = msg.content || "";
+
+    // Handle special embeds (listening party invites etc.)
+    if (msg.activity) {
+      let applicationName = msg.application && msg.application.name;
+
+      if (! applicationName && msg.activity.party_id.startsWith("spotify:")) {
+        applicationName = "Spotify";
+      }
+
+      if (! applicationName) {
+        applicationName = "Unknown Application";
+      }
+
+      let activityText;
+      if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.JOIN || msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.JOIN_REQUEST) {
+        activityText = "join a game";
+      } else if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.SPECTATE) {
+        activityText = "spectate";
+      } else if (msg.activity.type === DISCORD_MESSAGE_ACTIVITY_TYPES.LISTEN) {
+        activityText = "listen along";
+      } else {
+        activityText = "do something";
+      }
+
+      messageContent += `\n\n*<This message contains an invite to ${activityText} on ${applicationName}>*`;
+      messageContent = messageContent.trim();
+    }
+
+    if (msg.stickerItems && msg.stickerItems.length) {
+      const stickerLines = msg.stickerItems.map(sticker => {
+        return `*Sent sticker "${sticker.name}":* https://media.discordapp.net/stickers/${sticker.id}.webp?size=160`
+      })
+
+      messageContent += "\n\n" + stickerLines.join("\n");
+    }
+
+    return messageContent.trim();
+  }
+
+  /**
+   * Relays an edit the user made to one of their DMs to the inbox copy. The previous text is kept as a revision.
+   * @param {Eris.Message} msg The edited DM
+   * @returns {Promise<boolean>} Whether a logged message was updated
+   */
+  async handleUserMessageEdit(msg) {
+    const threadMessage = await this.findThreadMessageByDmMessageId(msg.id);
+    if (! threadMessage || threadMessage.message_type !== THREAD_MESSAGE_TYPE.FROM_USER) return false;
+
+    // Updates without content (e.g. embeds being resolved) aren't edits
+    if (msg.content === undefined) return false;
+
+    const newBody = this._buildUserMessageBody(msg);
+    if (threadMessage.body === newBody) return false;
+
+    const originalBody = threadMessage.body;
+    await messageRevisions.addRevision(threadMessage, newBody, this.user_id, this.user_name);
+
+    threadMessage.body = newBody;
+    threadMessage.setMetadataValue("edited", true);
+    const { body, metadata } = threadMessage.getSQLProps();
+    await this._updateThreadMessage(threadMessage.id, { body, metadata });
+
+    await this._refreshUserMessageInInbox(threadMessage);
+    await this.addSystemMessageToLogs(`${this.user_name} edited message ${threadMessage.id}.\nBefore: ${originalBody}\nAfter: ${newBody}`);
+    return true;
+  }
+
+  /**
+   * Flags the inbox copy of a DM the user deleted. The message is marked as deleted in the logs but kept, as is the inbox copy.
+   * @param {string} messageId ID of the deleted DM
+   * @returns {Promise<boolean>} Whether a logged message was found
+   */
+  async handleUserMessageDelete(messageId) {
+    const threadMessage = await this.findThreadMessageByDmMessageId(messageId);
+    if (! threadMessage || threadMessage.message_type !== THREAD_MESSAGE_TYPE.FROM_USER) return false;
+
+    await this._deleteThreadMessage(threadMessage.id, this.user_id);
+    threadMessage.setMetadataValue("deletedByUser", true);
+    await this._updateThreadMessage(threadMessage.id, { metadata: threadMessage.getSQLProps().metadata });
+
+    await this._refreshUserMessageInInbox(threadMessage);
+    await this.addSystemMessageToLogs(`${this.user_name} deleted message ${threadMessage.id}`);
+    return true;
+  }
+
+  /**
+   * Re-renders the inbox copy of a user message, adding markers for edits and deletions
+   * @param {ThreadMessage} threadMessage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshUserMessageInInbox(threadMessage) {
+    if (! threadMessage.inbox_message_id) return;
+
+    const content = messageContentToAdvancedMessageContent(await formatters.formatUserReplyThreadMessage(threadMessage));
+    const markers = [];
+    if (threadMessage.getMetadataValue("edited")) markers.push("✏️ *(edited by the user)*");
+    if (threadMessage.getMetadataValue("deletedByUser")) markers.push("🗑️ *(deleted by the user)*");
+    content.content = [content.content, ...markers].filter(Boolean).join("\n");
+
+    if (! utils.messageContentIsWithinMaxLength(content)) {
+      await this.postSystemMessage(`${markers.join(" ")} Message ${threadMessage.id} from ${this.user_name} changed, but the updated message is too long to show. Current text:\n${threadMessage.body}`, {
+        allowedMentions: {},
+      });
+      return;
+    }
+
+    await bot.editMessage(this.channel_id, threadMessage.inbox_message_id, content).catch(utils.noop);
+  }
+
+  /**
+   * Mirrors a reaction between a DM and its inbox copy: reactions from the user on staff replies are shown on the inbox copy,
+   * and reactions from staff on user messages are shown on the DM.
+   * @param {Eris.Message|{ id: string, channel: { id: string } }} message The message that was reacted to
+   * @param {{ id: string|null, name: string }} emoji
+   * @param {string} reactorId
+   * @param {boolean} added Whether the reaction was added (true) or removed (false)
+   * @returns {Promise<boolean>} Whether the reaction was relayed
+   */
+  async relayReaction(message, emoji, reactorId, added) {
+    if (! config.relayReactions) return false;
+    if (reactorId === bot.user.id) return false;
+
+    const threadMessage = await this.getThreadMessageForMessageId(message.id);
+    if (! threadMessage) return false;
+
+    const inDMs = message.channel.id !== this.channel_id;
+    let targetChannelId;
+    let targetMessageId;
+    let reactorName;
+
+    if (inDMs && reactorId === this.user_id && threadMessage.message_type === THREAD_MESSAGE_TYPE.TO_USER) {
+      targetChannelId = this.channel_id;
+      targetMessageId = threadMessage.inbox_message_id;
+      reactorName = this.user_name;
+    } else if (! inDMs && threadMessage.message_type === THREAD_MESSAGE_TYPE.FROM_USER) {
+      targetChannelId = threadMessage.dm_channel_id;
+      targetMessageId = threadMessage.dm_message_id;
+      const reactor = bot.users.get(reactorId);
+      reactorName = reactor ? this._getStaffDisplayName(reactor) : reactorId;
+    } else {
+      return false;
+    }
+
+    if (! targetMessageId) return false;
+
+    const reaction = emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+    try {
+      if (added) {
+        await bot.addMessageReaction(targetChannelId, targetMessageId, reaction);
+      } else {
+        // Someone else may still have the same reaction on the original, in which case the mirrored one stays
+        const remaining = message.reactions && message.reactions[reaction];
+        const othersRemaining = remaining ? remaining.count - (remaining.me ? 1 : 0) : 0;
+        if (othersRemaining > 0) return false;
+
+        await bot.removeMessageReaction(targetChannelId, targetMessageId, reaction);
+      }
+    } catch (e) {
+      // E.g. a custom emoji from a server the bot is not in
+      await this.addSystemMessageToLogs(`Could not relay reaction ${emoji.name} from ${reactorName}: ${e.message}`);
+      return false;
+    }
+
+    const action = added ? "reacted with" : "removed reaction";
+    await this.addSystemMessageToLogs(`${reactorName} ${action} ${emoji.name} on message ${threadMessage.id}`);
+    return true;
+  }
+
+  /**
+   * Tries to deliver a queued staff reply again. Called by the DM queue loop once the delivery is due.
+   * @param {object} delivery
+   * @returns {Promise<boolean>} Whether the reply was delivered
+   */
+  async retryQueuedReply(delivery) {
+    // Closed threads have no channel to report to, so their queued replies are given up on
+    if (! this.isOpen()) {
+      await dmQueue.recordFailedAttempt(delivery, new Error("Thread is no longer open"));
+      return false;
+    }
+
+    const data = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .where("id", delivery.thread_message_id)
+      .whereNull("deleted_at")
+      .first();
+    if (! data) {
+      await dmQueue.recordFailedAttempt(delivery, new Error("Reply no longer exists"));
+      return false;
+    }
+
+    const threadMessage = new ThreadMessage(data);
+
+    // The original files aren't kept around, so link to the saved attachments instead
+    const dmContent = messageContentToAdvancedMessageContent(await formatters.formatStaffReplyDM(threadMessage));
+    if (threadMessage.attachments.length) {
+      dmContent.content = `${dmContent.content || ""}\n\n${threadMessage.attachments.join("\n")}`.trim();
+    }
+
+    let dmMessages;
+    try {
+      dmMessages = await this._sendMultipartDMToUser(dmContent);
+    } catch (e) {
+      const willRetry = await dmQueue.recordFailedAttempt(delivery, e);
+      if (! willRetry) {
+        if (dmQueue.isDMsClosedError(e)) {
+          await this._markDMsClosed(e);
+        } else {
+          await this.postSystemMessage(`❌ Queued reply #${threadMessage.message_number} could not be delivered: ${e.message}`);
+        }
+      }
+      return false;
+    }
+
+    this._setMessagePartIds(threadMessage, dmMessages.map(msg => msg.id), this._getInboxMessageIds(threadMessage));
+    const { dm_message_id, inbox_message_id, metadata } = threadMessage.getSQLProps();
+    await this._updateThreadMessage(threadMessage.id, { dm_message_id, inbox_message_id, metadata });
+    await dmQueue.markDelivered(delivery);
+
+    if (this.getMetadataValue("dmsClosed")) {
+      await this.setMetadataValue("dmsClosed", null);
+    }
+
+    await this.postSystemMessage(`✅ Queued reply #${threadMessage.message_number} was delivered`);
+    return true;
+  }
+
+  /**
+   * @returns {Promise<object[]>} Staff replies in this thread that are waiting to be retried
+   */
+  async getQueuedReplies() {
+    return dmQueue.getPendingDeliveriesForThread(this.id);
+  }
+
+  /**
+   * Flags the thread as unable to reach the user, so staff can see why replies aren't going through
+   * @param {Error} err
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _markDMsClosed(err) {
+    await this.setMetadataValue("dmsClosed", {
+      since: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+      reason: err.message,
+    });
+
+    await this.postSystemMessage(`⚠️ Could not deliver the reply because the user has DMs closed or has blocked the bot (${err.message}). The reply was not sent. The thread is marked as "DMs closed" until a reply gets through.`);
+  }
+
+  /**
+   * @param {Eris.Message} msg
+   * @returns {Promise<void>}
+   */
+  async receiveUserReply(msg, skipAlert = false) {
+    const user = msg.author;
+    const opts = {
+      thread: this,
+      message: msg,
+    };
+    let hookResult;
+
+    // Call any registered beforeNewMessageReceivedHooks
+    hookResult = await callBeforeNewMessageReceivedHooks({
+      user,
+      opts,
+      message: opts.message
+    });
+    if (hookResult.cancelled) return;
+
+    // Prepare attachments
+    const attachmentLinks = [];
+    const smallAttachmentLinks = [];
+    const attachmentFiles = [];
+
+    for (const attachment of msg.attachments) {
+      const savedAttachment = await attachments.saveAttachment(attachment);
+
+      // Forward small attachments (<2MB) as attachments, link to larger ones
+      if (config.relaySmallAttachmentsAsAttachments && attachment.size <= config.smallAttachmentLimit) {
+        const file = await attachments.attachmentToDiscordFileObject(attachment);
+        attachmentFiles.push(file);
+        smallAttachmentLinks.push(savedAttachment.url);
+      }
+
+      attachmentLinks.push(savedAttachment.url);
+    }
+
+    // Handle inline replies
+    /** @var {Eris.MessageReference|null} messageReference */
+    let messageReference = null;
+    let repliedToThreadMessageId = null;
+    if (config.relayInlineReplies && msg.referencedMessage) {
+      const repliedTo = await this.getThreadMessageForMessageId(msg.referencedMessage.id);
+      if (repliedTo) {
+        repliedToThreadMessageId = repliedTo.id;
+        messageReference = {
+          channelID: this.channel_id,
+          messageID: repliedTo.inbox_message_id,
+        };
+      }
+    }
+
+    const messageContent = this._buildUserMessageBody(msg);
+
+    // Save DB entry
+    let threadMessage = new ThreadMessage({
+      message_type: THREAD_MESSAGE_TYPE.FROM_USER,
+      user_id: this.user_id,
+      user_name: config.useDisplaynames ? msg.author.globalName || msg.author.username : msg.author.username,
+      body: messageContent,
+      is_anonymous: 0,
+      dm_message_id: msg.id,
+      dm_channel_id: msg.channel.id,
+      attachments: attachmentLinks,
+      small_attachments: smallAttachmentLinks,
+    });
+    if (repliedToThreadMessageId) {
+      threadMessage.setMetadataValue("inlineReplyToThreadMessageId", repliedToThreadMessageId);
+    }
+
+    threadMessage = await this._addThreadMessageToDB(threadMessage.getSQLProps());
+
+    // Show user reply in the inbox thread
+    const inboxContent = messageContentToAdvancedMessageContent(await formatters.formatUserReplyThreadMessage(threadMessage));
+    if (messageReference) {
+      inboxContent.messageReference = {
+        channelID: messageReference.channelID,
+        messageID: messageReference.messageID,
+        failIfNotExists: false,
+      };
+    }
+    const inboxMessage = await this._postToThreadChannel(inboxContent, attachmentFiles);
+    if (inboxMessage) {
+      await this._updateThreadMessage(threadMessage.id, { inbox_message_id: inboxMessage.id });
+    }
+
+    if (config.reactOnSeen) {
+      await msg.addReaction(config.reactOnSeenEmoji).catch(utils.noop);
+    }
+
+    // Call any registered afterNewMessageReceivedHooks
+    await callAfterNewMessageReceivedHooks({
+      user,
+      opts,
+      message: opts.message
+    });
+
+    // Interrupt scheduled closing, if in progress
+    if (this.scheduled_close_at) {
+      await this.cancelScheduledClose();
+      await this.postSystemMessage(`<@!${this.scheduled_close_id}> Thread that was scheduled to be closed got a new reply. Cancelling.`, {
+        allowedMentions: {
+          users: [this.scheduled_close_id],
+        },
+      });
+    }
+
+    await this._resetInactivityTimer();
+
+    if (this.alert_ids && ! skipAlert) {
+      const ids = this.alert_ids.split(",");
+      const mentionsStr = ids.map(id => `<@!${id}> `).join("");
+
+      await this.deleteAlerts();
+      await this.postSystemMessage(`${mentionsStr}New message from ${this.user_name}`, {
+        allowedMentions: {
+          users: ids,
+        },
+      });
+    }
+  }
+
+  /**
+   * @returns {Promise<PrivateChannel>}
+   */
+  getDMChannel() {
+    return bot.getDMChannel(this.user_id);
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} opts
+   * @param {object} [opts.allowedMentions] Allowed mentions for the thread channel message
+   * @param {boolean} [opts.allowedMentions.everyone]
+   * @param {boolean|string[]} [opts.allowedMentions.roles]
+   * @param {boolean|string[]} [opts.allowedMentions.users]
+   * @param {Eris.MessageReference} [opts.messageReference]
+   * @returns {Promise<void>}
    */
   async postSystemMessage(text, opts = {}) {
     const threadMessage = new ThreadMessage({
@@ -624,31 +1523,136 @@ class Thread {
     return this._postToThreadChannel(content, file);
   }
 
+  /**
+   * Adds an internal staff note to the thread. Notes are never sent to the user.
+   * @param {Eris.Member} moderator
+   * @param {string} text
+   * @returns {Promise<ThreadMessage>}
+   */
+  async addNote(moderator, text) {
+    const threadMessage = new ThreadMessage({
+      message_type: THREAD_MESSAGE_TYPE.NOTE,
+      user_id: moderator.id,
+      user_name: this._getStaffDisplayName(moderator),
+      body: text,
+      is_anonymous: 0,
+    });
+
+    const inboxMessage = await this._postToThreadChannel(notes.formatNoteThreadMessage(threadMessage));
+    if (inboxMessage) {
+      threadMessage.inbox_message_id = inboxMessage.id;
+    }
+
+    return this._addThreadMessageToDB(threadMessage.getSQLProps());
+  }
+
+  /**
+   * Edits a note, keeping the previous version as a revision
+   * @param {Eris.Member} moderator
+   * @param {ThreadMessage} threadMessage
+   * @param {string} newText
+   * @returns {Promise<boolean>} Whether the note was edited
+   */
+  async editNote(moderator, threadMessage, newText) {
+    if (threadMessage.message_type !== THREAD_MESSAGE_TYPE.NOTE) {
+      return false;
+    }
+
+    await messageRevisions.addRevision(threadMessage, newText, moderator.id, this._getStaffDisplayName(moderator));
+    threadMessage.setMetadataValue("edited", true);
+    threadMessage.body = newText;
+
+    if (threadMessage.inbox_message_id) {
+      await bot.editMessage(this.channel_id, threadMessage.inbox_message_id, notes.formatNoteThreadMessage(threadMessage)).catch(utils.noop);
+    }
+
+    const { body, metadata } = threadMessage.getSQLProps();
+    await this._updateThreadMessage(threadMessage.id, { body, metadata });
+    return true;
+  }
+
+  /**
+   * @param {ThreadMessage} threadMessage
+   * @param {boolean} pinned
+   * @returns {Promise<boolean>} Whether the note's pin state was changed
+   */
+  async setNotePinned(threadMessage, pinned) {
+    if (threadMessage.message_type !== THREAD_MESSAGE_TYPE.NOTE || ! threadMessage.inbox_message_id) {
+      return false;
+    }
+
+    if (pinned) {
+      await bot.pinMessage(this.channel_id, threadMessage.inbox_message_id);
+    } else {
+      await bot.unpinMessage(this.channel_id, threadMessage.inbox_message_id);
+    }
+
+    threadMessage.setMetadataValue("pinned", pinned);
+    await this._updateThreadMessage(threadMessage.id, { metadata: threadMessage.getSQLProps().metadata });
+    return true;
+  }
+
+  /**
+   * @returns {Promise<ThreadMessage[]>}
+   */
+  async getNotes() {
+    const rows = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .where("message_type", THREAD_MESSAGE_TYPE.NOTE)
+      .whereNull("deleted_at")
+      .orderBy("created_at", "ASC")
+      .orderBy("id", "ASC")
+      .select();
+
+    return rows.map(row => new ThreadMessage(row));
+  }
+
+  /**
+   * Saves the message's attachments through the configured attachment storage
+   * @param {Eris.Message} msg
+   * @returns {Promise<string[]>} Links to the saved attachments
+   * @private
+   */
+  async _saveMessageAttachments(msg) {
+    const attachmentLinks = [];
+    for (const attachment of msg.attachments || []) {
+      const savedAttachment = await attachments.saveAttachment(attachment);
+      attachmentLinks.push(savedAttachment.url);
+    }
+
+    return attachmentLinks;
+  }
+
   /**
    * @param {Eris.Message} msg
    * @returns {Promise<void>}
    */
   async saveChatMessageToLogs(msg) {
-    // TODO: Save attachments?
-    return this._addThreadMessageToDB({
+    const threadMessage = new ThreadMessage({
       message_type: THREAD_MESSAGE_TYPE.CHAT,
       user_id: msg.author.id,
       user_name: config.useDisplaynames ? msg.author.globalName || msg.author.username : msg.author.username,
       body: msg.content,
       is_anonymous: 0,
-      dm_message_id: msg.id
+      dm_message_id: msg.id,
+      attachments: await this._saveMessageAttachments(msg),
     });
+
+    return this._addThreadMessageToDB(threadMessage.getSQLProps());
   }
 
   async saveCommandMessageToLogs(msg) {
-    return this._addThreadMessageToDB({
+    const threadMessage = new ThreadMessage({
       message_type: THREAD_MESSAGE_TYPE.COMMAND,
       user_id: msg.author.id,
       user_name: config.useDisplaynames ? msg.author.globalName || msg.author.username : msg.author.username,
       body: msg.content,
       is_anonymous: 0,
-      dm_message_id: msg.id
+      dm_message_id: msg.id,
+      attachments: await this._saveMessageAttachments(msg),
     });
+
+    return this._addThreadMessageToDB(threadMessage.getSQLProps());
   }
 
   /**
@@ -656,6 +1660,11 @@ class Thread {
    * @returns {Promise<void>}
    */
   async updateChatMessageInLogs(msg) {
+    const threadMessage = await this.findThreadMessageByDmMessageId(msg.id);
+    if (! threadMessage) return;
+
+    await messageRevisions.addRevision(threadMessage, msg.content, msg.author.id, this._getStaffDisplayName(msg.member || msg.author));
+
     await knex("thread_messages")
       .where("thread_id", this.id)
       .where("dm_message_id", msg.id)
@@ -665,22 +1674,73 @@ class Thread {
   }
 
   /**
+   * Marks the message as deleted in the logs and posts a notice with the deleted content in the thread channel
    * @param {String} messageId
+   * @param {String|null} deletedBy
    * @returns {Promise<void>}
    */
-  async deleteChatMessageFromLogs(messageId) {
-    await knex("thread_messages")
+  async deleteChatMessageFromLogs(messageId, deletedBy = null) {
+    const threadMessage = await this.findThreadMessageByDmMessageId(messageId);
+    if (! threadMessage) return;
+
+    await this._deleteThreadMessage(threadMessage.id, deletedBy);
+
+    // The notice is logged permanently, so it must not repeat the body the retention purge is meant to remove
+    await this.postSystemMessage(`🗑️ A message from ${threadMessage.user_name} was deleted (ID \`${threadMessage.id}\`)`, {
+      allowedMentions: {},
+    });
+  }
+
+  /**
+   * Restores a message that was marked as deleted
+   * @param {Eris.Member} moderator
+   * @param {number} threadMessageId
+   * @returns {Promise<boolean>} Whether a deleted message was found and restored
+   */
+  async restoreThreadMessage(moderator, threadMessageId) {
+    const data = await knex("thread_messages")
       .where("thread_id", this.id)
-      .where("dm_message_id", messageId)
-      .delete();
+      .where("id", threadMessageId)
+      .whereNotNull("deleted_at")
+      .first();
+    if (! data) return false;
+
+    await this._updateThreadMessage(threadMessageId, {
+      deleted_at: null,
+      deleted_by: null,
+    });
+
+    await this.postSystemMessage(`♻️ ${this._getStaffDisplayName(moderator)} restored deleted message \`${threadMessageId}\` from ${data.user_name} to the logs`);
+    return true;
   }
 
   /**
    * @returns {Promise<ThreadMessage[]>}
    */
-  async getThreadMessages() {
+  async getDeletedThreadMessages() {
     const threadMessages = await knex("thread_messages")
       .where("thread_id", this.id)
+      .whereNotNull("deleted_at")
+      .orderBy("created_at", "ASC")
+      .orderBy("id", "ASC")
+      .select();
+
+    return threadMessages.map(row => new ThreadMessage(row));
+  }
+
+  /**
+   * @param {boolean} includeDeleted Whether to include messages that have been marked as deleted
+   * @returns {Promise<ThreadMessage[]>}
+   */
+  async getThreadMessages(includeDeleted = false) {
+    const query = knex("thread_messages")
+      .where("thread_id", this.id);
+
+    if (! includeDeleted) {
+      query.whereNull("deleted_at");
+    }
+
+    const threadMessages = await query
       .orderBy("created_at", "ASC")
       .orderBy("id", "ASC")
       .select();
@@ -697,83 +1757,610 @@ class Thread {
       .where(function() {
         this.where("dm_message_id", messageId)
         this.orWhere("inbox_message_id", messageId)
+        // Later parts of multi-part replies are only stored in metadata
+        this.orWhere(function() {
+          this.where("message_type", THREAD_MESSAGE_TYPE.TO_USER)
+            .andWhere("metadata", "like", `%"${messageId}"%`);
+        })
       })
       .andWhere("thread_id", this.id)
+      .whereNull("deleted_at")
+      .first();
+
+    return (data ? new ThreadMessage(data) : null);
+  }
+
+  async findThreadMessageByDmMessageId(messageId) {
+    const data = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .where("dm_message_id", messageId)
+      .whereNull("deleted_at")
+      .first();
+
+    return data ? new ThreadMessage(data) : null;
+  }
+
+  /**
+   * @param {number[]} [messageTypes] Defaults to messages sent to or received from the user
+   * @returns {Promise<ThreadMessage>}
+   */
+  async getLatestThreadMessage(messageTypes = null) {
+    const types = messageTypes || [
+      THREAD_MESSAGE_TYPE.FROM_USER,
+      THREAD_MESSAGE_TYPE.TO_USER,
+      THREAD_MESSAGE_TYPE.SYSTEM_TO_USER,
+    ];
+    const threadMessage = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .whereIn("message_type", types)
+      .whereNull("deleted_at")
+      .orderBy("created_at", "DESC")
+      .orderBy("id", "DESC")
+      .first();
+
+      return threadMessage;
+  }
+
+  /**
+   * @param {number} messageNumber
+   * @returns {Promise<ThreadMessage>}
+   */
+  async findThreadMessageByMessageNumber(messageNumber) {
+    const data = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .where("message_number", messageNumber)
+      .whereNull("deleted_at")
       .first();
 
-    return (data ? new ThreadMessage(data) : null);
-  }
+    return data ? new ThreadMessage(data) : null;
+  }
+
+  /**
+   * @returns {Promise<object>} See sla.calculateResponseTimes()
+   */
+  async getResponseTimes() {
+    const threadMessages = await this.getThreadMessages();
+    return sla.calculateResponseTimes(this, threadMessages);
+  }
+
+  /**
+   * Alerts staff if the user has been waiting for a reply for longer than config.slaResponseTime,
+   * and pings config.slaEscalationRole once they've been waiting for longer than config.slaEscalationTime.
+   * Each alert is only sent once per unanswered message.
+   * @returns {Promise<void>}
+   */
+  async checkResponseSLA() {
+    if (! this.isOpen()) return;
+
+    const { responseTime, escalationTime } = sla.getSLAThresholds();
+    if (! responseTime) return;
+
+    const { waitingSince } = await this.getResponseTimes();
+    if (! waitingSince) return;
+
+    let slaState = this.getMetadataValue("slaState");
+    if (! slaState || slaState.waitingSince !== waitingSince) {
+      slaState = { waitingSince, warned: false, escalated: false };
+    }
+
+    const waitedFor = moment.utc().diff(moment.utc(waitingSince, "YYYY-MM-DD HH:mm:ss"));
+    const waitedForStr = moment.duration(waitedFor).humanize();
+    let changed = false;
+
+    if (waitedFor >= responseTime && ! slaState.warned) {
+      if (this.assigned_to_id) {
+        await this.addAlert(this.assigned_to_id);
+        await this.postSystemMessage(`⏰ <@!${this.assigned_to_id}> ${this.user_name} has been waiting for a response for ${waitedForStr}`, {
+          allowedMentions: {
+            users: [this.assigned_to_id],
+          },
+        });
+      } else {
+        await this.postSystemMessage(`⏰ ${this.user_name} has been waiting for a response for ${waitedForStr}`);
+      }
+
+      slaState.warned = true;
+      changed = true;
+    }
+
+    if (escalationTime && waitedFor >= escalationTime && ! slaState.escalated && config.slaEscalationRole) {
+      await this.postSystemMessage(`🚨 <@&${config.slaEscalationRole}> ${this.user_name} has been waiting for a response for ${waitedForStr}`, {
+        allowedMentions: {
+          roles: [config.slaEscalationRole],
+        },
+      });
+
+      slaState.escalated = true;
+      changed = true;
+    }
+
+    if (changed) {
+      await this.setMetadataValue("slaState", slaState);
+    }
+  }
+
+  /**
+   * Warns the user once the thread has had no activity for config.inactivityCloseTime,
+   * and schedules the thread to be closed with the reason "inactive" if nobody replies within config.inactivityGracePeriod.
+   * Threads with a manually scheduled close are left alone.
+   * @returns {Promise<void>}
+   */
+  async checkInactivity() {
+    if (! this.isOpen() || this.scheduled_close_at) return;
+
+    const { closeAfter, gracePeriod } = inactivity.getInactivityThresholds();
+    if (! closeAfter) return;
+
+    // The close itself is left to the scheduler once the user has been warned
+    if (this.getMetadataValue("inactivityWarning")) return;
+
+    // Only the conversation itself counts as activity, not e.g. our own inactivity warnings
+    const latestThreadMessage = await this.getLatestThreadMessage([THREAD_MESSAGE_TYPE.FROM_USER, THREAD_MESSAGE_TYPE.TO_USER]);
+    if (! latestThreadMessage) return;
+
+    const inactiveFor = moment.utc().diff(moment.utc(latestThreadMessage.created_at, "YYYY-MM-DD HH:mm:ss"));
+    if (inactiveFor < closeAfter) return;
+
+    // The close is scheduled before the thread is flagged as warned, so a failure in between leaves the thread to be
+    // warned again on the next check instead of never closing. Both happen before the DM so a failed DM isn't retried
+    // on every check.
+    await scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.INACTIVITY_CLOSE, moment.utc().add(gracePeriod, "ms"), {}, {
+      replace: true,
+    });
+    await this.setMetadataValue("inactivityWarning", {
+      warnedAt: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+    });
+
+    const graceStr = moment.duration(gracePeriod).humanize();
+    const warningText = config.inactivityWarningMessage
+      || `This thread will be closed in ${graceStr} due to inactivity. Reply to keep it open.`;
+    await this.sendSystemMessageToUser(warningText).catch(e => {
+      console.warn(`[WARN] Could not send inactivity warning for thread ${this.id}: ${e.message}`);
+    });
+    await this.postSystemMessage(`💤 No activity for ${moment.duration(inactiveFor).humanize()}. The thread will be closed automatically in ${graceStr} unless someone replies.`);
+  }
+
+  /**
+   * Called on new replies from either side
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resetInactivityTimer() {
+    if (! this.getMetadataValue("inactivityWarning")) return;
+
+    await this.setMetadataValue("inactivityWarning", null);
+    await scheduler.cancelJobsForThread(this.id, scheduler.JOB_TYPE.INACTIVITY_CLOSE);
+    await this.postSystemMessage("Cancelling automatic closing of this thread due to new reply");
+  }
+
+  /**
+   * Renders a transcript of the thread in the given format ("html", "md" or "json")
+   * @param {string} format
+   * @returns {Promise<string>}
+   */
+  async getTranscript(format = transcripts.TRANSCRIPT_FORMAT.HTML) {
+    const threadMessages = await this.getThreadMessages(true);
+    const revisions = await messageRevisions.getRevisionsForThread(this.id);
+    return transcripts.renderTranscript(this, threadMessages, format, revisions);
+  }
+
+  /**
+   * Searches this thread's message history. See search.searchThreadMessages() for the available options.
+   * @param {string} query
+   * @param {object} opts
+   * @returns {Promise<object>}
+   */
+  async searchMessages(query, opts = {}) {
+    return search.searchThreadMessages(query, {
+      ...opts,
+      threadId: this.id,
+    });
+  }
+
+  /**
+   * @param {boolean} suppressSystemMessage
+   * @param {boolean} silent
+   * @param {object} opts
+   * @param {string} [opts.reason] Free-text close reason
+   * @param {string} [opts.category] One of config.closeCategories
+   * @param {boolean} [opts.notifyUser] Whether to send the close reason to the user. Ignored for silent closes.
+   * @returns {Promise<void>}
+   */
+  async close(suppressSystemMessage = false, silent = false, opts = {}) {
+    if (this.isClosed()) return;
+
+    const reason = opts.reason || null;
+    const category = opts.category ? opts.category.toLowerCase() : null;
+    const closeCategories = (config.closeCategories || []).map(c => c.toLowerCase());
+    if (category && closeCategories.length && ! closeCategories.includes(category)) {
+      throw new Error(`Unknown close category "${opts.category}". Available categories: ${closeCategories.join(", ")}`);
+    }
+
+    const reasonParts = [];
+    if (category) reasonParts.push(`Category: ${category}`);
+    if (reason) reasonParts.push(`Reason: ${reason}`);
+    const reasonStr = reasonParts.length ? `\n${reasonParts.join("\n")}` : "";
+
+    if (! suppressSystemMessage) {
+      console.log(`Closing thread ${this.id}`);
+
+      if (silent) {
+        await this.postSystemMessage(`Closing thread silently...${reasonStr}`);
+      } else {
+        await this.postSystemMessage(`Closing thread...${reasonStr}`);
+      }
+    }
+
+    if (reason && opts.notifyUser && ! silent) {
+      await this.sendSystemMessageToUser(`This thread has been closed. Reason: ${reason}`).catch(utils.noop);
+    }
+
+    // Update DB status
+    this.status = THREAD_STATUS.CLOSED;
+    this.close_reason = reason;
+    this.close_category = category;
+    this.closed_at = moment.utc().format("YYYY-MM-DD HH:mm:ss");
+    await knex("threads")
+      .where("id", this.id)
+      .update({
+        status: THREAD_STATUS.CLOSED,
+        close_reason: this.close_reason,
+        close_category: this.close_category,
+        closed_at: this.closed_at,
+      });
+
+    // Pending jobs, including scheduled replies that haven't gone out yet, are dropped with the thread
+    const scheduledReplies = await this.getScheduledReplies();
+    if (scheduledReplies.length) {
+      await this.addSystemMessageToLogs(`${scheduledReplies.length} scheduled ${scheduledReplies.length === 1 ? "reply was" : "replies were"} cancelled because the thread was closed`);
+    }
+    await scheduler.cancelJobsForThread(this.id);
+
+    // Their approve buttons go away with the channel
+    await replyApprovals.cancelPendingRepliesForThread(this.id);
+
+    // The preview goes away with the channel
+    await this._clearReplyDraft();
+
+    // Delete channel
+    const channel = bot.getChannel(this.channel_id);
+    if (channel) {
+      console.log(`Deleting channel ${this.channel_id}`);
+      await channel.delete("Thread closed");
+    }
+
+    if (config.modmailPasteUrl) {
+      await this._publishTranscriptPaste().catch(e => {
+        console.error(`Failed to publish transcript paste for thread ${this.id}: ${e.message}`);
+      });
+    }
+
+    await callAfterThreadCloseHooks({
+      threadId: this.id,
+      silent,
+      reason,
+      category,
+    });
+  }
+
+  /**
+   * Reopens a closed thread in a new channel, keeping the same thread row and history
+   * @param {Eris.Member} moderator
+   * @param {string|null} reason
+   * @returns {Promise<boolean>} Whether the thread was reopened. False if it wasn't closed or the user already has another open thread.
+   */
+  async reopen(moderator, reason = null) {
+    if (! this.isClosed()) return false;
+
+    const threads = require("./threads");
+    const existingThread = await threads.findOpenThreadByUserId(this.user_id);
+    if (existingThread) return false;
+
+    const channel = await this._createThreadChannel();
+
+    // Anything left over from the previous run of the thread (claims, timers, SLA and DM state) starts fresh
+    const resetProps = {
+      status: THREAD_STATUS.OPEN,
+      channel_id: channel.id,
+      close_reason: null,
+      close_category: null,
+      closed_at: null,
+      scheduled_close_at: null,
+      scheduled_close_id: null,
+      scheduled_close_name: null,
+      scheduled_close_silent: null,
+      scheduled_suspend_at: null,
+      scheduled_suspend_id: null,
+      scheduled_suspend_name: null,
+      assigned_to_id: null,
+      assigned_to_name: null,
+      assigned_at: null,
+    };
+    Object.assign(this, resetProps);
+    await knex("threads")
+      .where("id", this.id)
+      .update(resetProps);
+
+    const moderatorName = this._getStaffDisplayName(moderator);
+    await this.setMetadataValue("inactivityWarning", null);
+    await this.setMetadataValue("slaState", null);
+    await this.setMetadataValue("dmsClosed", null);
+    await this.setMetadataValue("reopenHistory", [
+      ...(this.getMetadataValue("reopenHistory") || []),
+      {
+        reopened_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+        reopened_by_id: moderator.id,
+        reopened_by_name: moderatorName,
+        reason,
+      },
+    ]);
+
+    await this._replayHistory();
+
+    const reasonStr = reason ? ` Reason: ${reason}` : "";
+    await this.postSystemMessage(`${utils.getInboxMention()}🔓 Thread #${this.thread_number} reopened by ${moderatorName}.${reasonStr}`, {
+      allowedMentions: utils.getInboxMentionAllowedMentions(),
+    });
+    return true;
+  }
+
+  /**
+   * Creates a thread channel for the thread's user, set up the same way as for new threads
+   * @returns {Promise<Eris.TextChannel>}
+   * @private
+   */
+  async _createThreadChannel() {
+    let channelName = this.user_name.toLowerCase().replace(/[^a-z0-9_-]/g, "") || "unknown";
+    if (config.anonymizeChannelName) {
+      channelName = crypto.createHash("md5").update(channelName + Date.now()).digest("hex").slice(0, 12);
+    }
+
+    const inboxGuild = utils.getInboxGuild();
+    const categoryId = (config.categoryAutomation && config.categoryAutomation.newThread) || null;
+    const createChannel = (name, parentID) => inboxGuild.createChannel(name, 0, {
+      reason: "Modmail thread reopened",
+      parentID,
+      topic: `Modmail thread with ${this.user_name} (${this.user_id})`,
+    });
 
-  async findThreadMessageByDmMessageId(messageId) {
-    const data = await knex("thread_messages")
-      .where("thread_id", this.id)
-      .where("dm_message_id", messageId)
-      .first();
+    try {
+      return await createChannel(channelName, categoryId);
+    } catch (e) {
+      // Fix for disallowed channel names in servers in Server Discovery
+      if (e.message.includes("Contains words not allowed for servers in Server Discovery")) {
+        return createChannel("badname-0000", categoryId);
+      }
 
-    return data ? new ThreadMessage(data) : null;
+      // Fall back to no category if the configured one is full
+      if (categoryId && e.message.includes("Maximum number of channels in category reached")) {
+        return createChannel(channelName, null);
+      }
+
+      throw e;
+    }
   }
 
   /**
-   * @returns {Promise<ThreadMessage>}
+   * Posts earlier messages (or a summary of them, depending on config.reopenReplayMode) to the thread channel for context.
+   * These posts are not logged again.
+   * @returns {Promise<void>}
+   * @private
    */
-  async getLatestThreadMessage() {
-    const threadMessage = await knex("thread_messages")
-      .where("thread_id", this.id)
-      .andWhere(function() {
-        this.where("message_type", THREAD_MESSAGE_TYPE.FROM_USER)
-          .orWhere("message_type", THREAD_MESSAGE_TYPE.TO_USER)
-          .orWhere("message_type", THREAD_MESSAGE_TYPE.SYSTEM_TO_USER)
-      })
-      .orderBy("created_at", "DESC")
-      .orderBy("id", "DESC")
-      .first();
+  async _replayHistory() {
+    const conversation = (await this.getThreadMessages())
+      .filter(threadMessage => threadMessage.message_type === THREAD_MESSAGE_TYPE.FROM_USER
+        || threadMessage.message_type === THREAD_MESSAGE_TYPE.TO_USER);
+    if (! conversation.length) return;
+
+    if (config.reopenReplayMode === "summary") {
+      const userMessageCount = conversation.filter(tm => tm.message_type === THREAD_MESSAGE_TYPE.FROM_USER).length;
+      const staffReplyCount = conversation.length - userMessageCount;
+      const first = conversation[0];
+      const last = conversation[conversation.length - 1];
+      await this.postNonLogMessage([
+        "📜 **Earlier in this thread**",
+        `${userMessageCount} message(s) from the user and ${staffReplyCount} staff reply(s) between ${first.created_at} and ${last.created_at} UTC.`,
+        `**Last message from ${last.user_name}:** ${last.body}`,
+      ].join("\n"));
+      return;
+    }
 
-      return threadMessage;
+    const replayCount = config.reopenReplayMessages != null ? config.reopenReplayMessages : DEFAULT_REOPEN_REPLAY_MESSAGES;
+    if (replayCount <= 0) return;
+
+    await this.postNonLogMessage(`📜 **Replaying the last ${Math.min(replayCount, conversation.length)} message(s) of this thread**`);
+    for (const threadMessage of conversation.slice(-replayCount)) {
+      const content = threadMessage.message_type === THREAD_MESSAGE_TYPE.FROM_USER
+        ? await formatters.formatUserReplyThreadMessage(threadMessage)
+        : await formatters.formatStaffReplyThreadMessage(threadMessage);
+      await this.postNonLogMessage(content);
+    }
   }
 
   /**
-   * @param {number} messageNumber
-   * @returns {Promise<ThreadMessage>}
+   * Moves every message of another thread into this one and closes the other thread.
+   * Staff replies from the source thread are renumbered after this thread's replies so message numbers stay unique.
+   * @param {Eris.Member} moderator
+   * @param {Thread} sourceThread
+   * @returns {Promise<number>} The number of messages that were moved
    */
-  async findThreadMessageByMessageNumber(messageNumber) {
-    const data = await knex("thread_messages")
-      .where("thread_id", this.id)
-      .where("message_number", messageNumber)
-      .first();
+  async mergeFrom(moderator, sourceThread) {
+    if (sourceThread.id === this.id) {
+      throw new Error("Can't merge a thread into itself");
+    }
 
-    return data ? new ThreadMessage(data) : null;
+    if (! this.isOpen()) {
+      throw new Error("Threads can only be merged into an open thread");
+    }
+
+    // Closing, suspending and inactivity timers belong to the source thread and are cancelled when it's closed.
+    // Scheduled and queued replies were written to the source thread's user, so they're only carried over if they'd
+    // still go to the same user.
+    const sameUser = sourceThread.user_id === this.user_id;
+    const movedJobTypes = [scheduler.JOB_TYPE.AUTO_ALERT, scheduler.JOB_TYPE.REMINDER];
+    if (sameUser) {
+      movedJobTypes.push(scheduler.JOB_TYPE.SCHEDULED_REPLY);
+    }
+
+    const { movedCount, movedReplyJobIds, failedDeliveryCount } = await knex.transaction(async trx => {
+      const sourceMessages = await trx("thread_messages")
+        .where("thread_id", sourceThread.id)
+        .orderBy("created_at", "ASC")
+        .orderBy("id", "ASC")
+        .select("id", "message_number");
+
+      const { next_message_number } = await trx("threads")
+        .where("id", this.id)
+        .select("next_message_number")
+        .first();
+
+      let nextNumber = next_message_number;
+      for (const row of sourceMessages) {
+        if (row.message_number == null) continue;
+        await trx("thread_messages")
+          .where("id", row.id)
+          .update({ message_number: nextNumber++ });
+      }
+
+      await trx("thread_messages")
+        .where("thread_id", sourceThread.id)
+        .update({ thread_id: this.id });
+      await trx("thread_message_revisions")
+        .where("thread_id", sourceThread.id)
+        .update({ thread_id: this.id });
+
+      let failedDeliveryCount = 0;
+      if (! sameUser) {
+        failedDeliveryCount = await trx("dm_delivery_queue")
+          .where("thread_id", sourceThread.id)
+          .where("status", dmQueue.DELIVERY_STATUS.PENDING)
+          .update({
+            status: dmQueue.DELIVERY_STATUS.FAILED,
+            next_attempt_at: null,
+            last_error: "Thread was merged into a thread with a different user",
+          });
+      }
+      await trx("dm_delivery_queue")
+        .where("thread_id", sourceThread.id)
+        .update({ thread_id: this.id });
+
+      const movedReplyJobIds = sameUser
+        ? await trx("scheduled_jobs")
+          .where("thread_id", sourceThread.id)
+          .where("type", scheduler.JOB_TYPE.SCHEDULED_REPLY)
+          .pluck("id")
+        : [];
+      await trx("scheduled_jobs")
+        .where("thread_id", sourceThread.id)
+        .whereIn("type", movedJobTypes)
+        .update({ thread_id: this.id });
+
+      await trx("threads")
+        .where("id", this.id)
+        .update({ next_message_number: nextNumber });
+
+      return { movedCount: sourceMessages.length, movedReplyJobIds, failedDeliveryCount };
+    });
+
+    const moderatorName = this._getStaffDisplayName(moderator);
+    const mergedAt = moment.utc().format("YYYY-MM-DD HH:mm:ss");
+
+    await this.setMetadataValue("mergedThreads", [
+      ...(this.getMetadataValue("mergedThreads") || []),
+      {
+        thread_id: sourceThread.id,
+        thread_number: sourceThread.thread_number,
+        user_id: sourceThread.user_id,
+        user_name: sourceThread.user_name,
+        message_count: movedCount,
+        merged_at: mergedAt,
+        merged_by_id: moderator.id,
+        merged_by_name: moderatorName,
+      },
+    ]);
+    await sourceThread.setMetadataValue("mergedInto", {
+      thread_id: this.id,
+      thread_number: this.thread_number,
+      merged_at: mergedAt,
+      merged_by_id: moderator.id,
+      merged_by_name: moderatorName,
+    });
+
+    if (sourceThread.isOpen()) {
+      await sourceThread.postSystemMessage(`🔀 This thread was merged into thread #${this.thread_number} (<#${this.channel_id}>) by ${moderatorName}. Closing...`);
+      await sourceThread.close(true, true);
+    }
+
+    await this.postSystemMessage(`🔀 ${moderatorName} merged ${movedCount} message(s) from thread #${sourceThread.thread_number} (${sourceThread.user_name}, ${sourceThread.user_id}) into this thread`);
+
+    if (failedDeliveryCount > 0) {
+      await this.postSystemMessage(`❌ ${failedDeliveryCount} queued reply(s) from thread #${sourceThread.thread_number} were not delivered because that thread was with a different user`);
+    }
+
+    // The source thread's channel is gone, so the moved scheduled replies need their previews and inline replies
+    // pointed at this thread's channel
+    for (const jobId of movedReplyJobIds) {
+      const job = await scheduler.getJob(jobId);
+      if (! job) continue;
+
+      const payload = { ...job.payload };
+      if (payload.messageReference) {
+        payload.messageReference = { channelID: this.channel_id, messageID: payload.messageReference.messageID };
+      }
+
+      const previewMsg = await this._postToThreadChannel(this._formatScheduledReplyPreview(job));
+      payload.inboxMessageId = previewMsg ? previewMsg.id : null;
+      await scheduler.updateJob(job.id, { payload });
+    }
+
+    return movedCount;
   }
 
   /**
-   * @returns {Promise<void>}
+   * Stores the thread's messages as a "modmail" paste for the dashboard's paste viewer and posts the link to the log channel
+   * @returns {Promise<string>} The paste's ID
+   * @private
    */
-  async close(suppressSystemMessage = false, silent = false) {
-    if (! suppressSystemMessage) {
-      console.log(`Closing thread ${this.id}`);
+  async _publishTranscriptPaste() {
+    // Pastes are public, so they only contain what the user saw: no staff chat, notes, deleted messages, edit history
+    // or the names of moderators who replied anonymously
+    const userVisibleTypes = [THREAD_MESSAGE_TYPE.FROM_USER, THREAD_MESSAGE_TYPE.TO_USER, THREAD_MESSAGE_TYPE.SYSTEM_TO_USER];
+    const threadMessages = (await this.getThreadMessages())
+      .filter(threadMessage => userVisibleTypes.includes(threadMessage.message_type));
+    const transcript = transcripts.buildTranscriptData(this, threadMessages);
+
+    const pasteId = Array.from(crypto.randomBytes(8))
+      .map(byte => pasteIdChars[byte % pasteIdChars.length])
+      .join("");
+    const expiry = utils.convertDelayStringToMS(config.modmailPasteExpiry || "30d");
+
+    const paste = new Paste({
+      _id: pasteId,
+      by: this.user_id,
+      type: "modmail",
+      expiresAt: new Date(Date.now() + expiry),
+    });
 
-      if (silent) {
-        await this.postSystemMessage("Closing thread silently...");
-      } else {
-        await this.postSystemMessage("Closing thread...");
-      }
+    // Each entry is stored as JSON so the paste viewer can show the author, role and timestamp separately
+    for (const message of transcript.messages) {
+      paste.paste.push(JSON.stringify({
+        type: message.type,
+        author: message.is_anonymous ? (message.role_name || config.fallbackRoleName || "Moderator") : message.author,
+        role: message.role_name,
+        anonymous: message.is_anonymous,
+        timestamp: message.created_at,
+        body: message.body,
+        attachments: message.attachments,
+      }));
     }
 
-    // Update DB status
-    this.status = THREAD_STATUS.CLOSED;
-    await knex("threads")
-      .where("id", this.id)
-      .update({
-        status: THREAD_STATUS.CLOSED
-      });
+    await paste.save();
 
-    // Delete channel
-    const channel = bot.getChannel(this.channel_id);
-    if (channel) {
-      console.log(`Deleting channel ${this.channel_id}`);
-      await channel.delete("Thread closed");
-    }
+    const link = `${config.modmailPasteUrl.replace(/\/+$/, "")}/paste/${pasteId}`;
+    await this.setMetadataValue("transcriptPasteId", pasteId);
+    await utils.postLog(`Transcript for modmail thread #${this.thread_number} with ${this.user_name} (${this.user_id}): <${link}>`);
 
-    await callAfterThreadCloseHooks({ threadId: this.id });
+    return pasteId;
   }
 
   /**
@@ -783,15 +2370,23 @@ class Thread {
    * @returns {Promise<void>}
    */
   async scheduleClose(time, user, silent) {
+    const userName = config.useDisplaynames ? user.globalName || user.username : user.username;
     await knex("threads")
       .where("id", this.id)
       .update({
         scheduled_close_at: time,
         scheduled_close_id: user.id,
-        scheduled_close_name: config.useDisplaynames ? user.globalName || user.username : user.username,
+        scheduled_close_name: userName,
         scheduled_close_silent: silent
       });
 
+    await scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.CLOSE, moment.utc(time, "YYYY-MM-DD HH:mm:ss"), {
+      silent: Boolean(silent),
+    }, {
+      createdBy: { id: user.id, name: userName },
+      replace: true,
+    });
+
     await callAfterThreadCloseScheduledHooks({ thread: this });
   }
 
@@ -808,6 +2403,8 @@ class Thread {
         scheduled_close_silent: null
       });
 
+    await scheduler.cancelJobsForThread(this.id, scheduler.JOB_TYPE.CLOSE);
+
     await callAfterThreadCloseScheduleCanceledHooks({ thread: this });
   }
 
@@ -823,6 +2420,8 @@ class Thread {
         scheduled_suspend_id: null,
         scheduled_suspend_name: null
       });
+
+    await scheduler.cancelJobsForThread(this.id, scheduler.JOB_TYPE.SUSPEND);
   }
 
   /**
@@ -842,13 +2441,19 @@ class Thread {
    * @returns {Promise<void>}
    */
   async scheduleSuspend(time, user) {
+    const userName = config.useDisplaynames ? user.globalName || user.username : user.username;
     await knex("threads")
       .where("id", this.id)
       .update({
         scheduled_suspend_at: time,
         scheduled_suspend_id: user.id,
-        scheduled_suspend_name: config.useDisplaynames ? user.globalName || user.username : user.username,
+        scheduled_suspend_name: userName,
       });
+
+    await scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.SUSPEND, moment.utc(time, "YYYY-MM-DD HH:mm:ss"), {}, {
+      createdBy: { id: user.id, name: userName },
+      replace: true,
+    });
   }
 
   /**
@@ -862,6 +2467,58 @@ class Thread {
         scheduled_suspend_id: null,
         scheduled_suspend_name: null
       });
+
+    await scheduler.cancelJobsForThread(this.id, scheduler.JOB_TYPE.SUSPEND);
+  }
+
+  /**
+   * @param {String} time
+   * @param {Eris~User} user
+   * @param {string} note
+   * @returns {Promise<object>} The scheduled job
+   */
+  async scheduleReminder(time, user, note) {
+    return scheduler.scheduleJob(this.id, scheduler.JOB_TYPE.REMINDER, moment.utc(time, "YYYY-MM-DD HH:mm:ss"), {
+      userId: user.id,
+      note,
+    }, {
+      createdBy: { id: user.id, name: this._getStaffDisplayName(user) },
+    });
+  }
+
+  /**
+   * @returns {Promise<object[]>} Pending scheduled jobs for this thread, soonest first
+   */
+  async getScheduledJobs() {
+    return scheduler.getJobsForThread(this.id);
+  }
+
+  /**
+   * Cancels one of this thread's pending jobs. Cancelling a close or suspend also clears the matching scheduled_* columns.
+   * @param {number} jobId
+   * @returns {Promise<boolean>} Whether the job was found and cancelled
+   */
+  async cancelScheduledJob(jobId) {
+    const job = await scheduler.getJob(jobId);
+    if (! job || job.thread_id !== this.id) return false;
+
+    if (job.type === scheduler.JOB_TYPE.CLOSE) {
+      await this.cancelScheduledClose();
+    } else if (job.type === scheduler.JOB_TYPE.SUSPEND) {
+      await this.cancelScheduledSuspend();
+    } else if (job.type === scheduler.JOB_TYPE.SCHEDULED_REPLY) {
+      await scheduler.cancelJob(jobId);
+      if (job.payload.inboxMessageId) {
+        await bot.deleteMessage(this.channel_id, job.payload.inboxMessageId).catch(utils.noop);
+      }
+    } else if (job.type === scheduler.JOB_TYPE.INACTIVITY_CLOSE) {
+      await this.setMetadataValue("inactivityWarning", null);
+      await scheduler.cancelJob(jobId);
+    } else {
+      await scheduler.cancelJob(jobId);
+    }
+
+    return true;
   }
 
   /**
@@ -945,7 +2602,7 @@ class Thread {
    * @param {string} newText
    * @param {object} opts
    * @param {boolean} opts.quiet Whether to suppress edit notifications in the thread channel
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} Whether the reply was edited
    */
   async editStaffReply(moderator, threadMessage, newText, opts = {}) {
     const newThreadMessage = new ThreadMessage({
@@ -955,22 +2612,27 @@ class Thread {
 
     const formattedThreadMessage = await formatters.formatStaffReplyThreadMessage(newThreadMessage);
     const formattedDM = await formatters.formatStaffReplyDM(newThreadMessage);
-
-    // Same restriction as in replies. Because edits could theoretically change the number of messages a reply takes, we enforce replies
-    // to fit within 1 message to avoid the headache and issues caused by that.
-    if (! utils.messageContentIsWithinMaxLength(formattedDM) || ! utils.messageContentIsWithinMaxLength(formattedThreadMessage)) {
-      await this.postSystemMessage("Edited reply is too long! Make sure the edit is under 2000 characters total, moderator name in the reply included.");
+    const dmParts = this._splitMessageContent(formattedDM);
+    const inboxParts = this._splitMessageContent(formattedThreadMessage);
+    const originalDMMessageIds = this._getDMMessageIds(threadMessage);
+    const originalInboxMessageIds = this._getInboxMessageIds(threadMessage);
+
+    // New parts would end up below any messages sent since the reply, so edits can't make a reply longer than it was.
+    // Replies still waiting in the DM queue have no DM messages yet and are sent with their new text later.
+    if ((originalDMMessageIds.length && dmParts.length > originalDMMessageIds.length)
+      || (originalInboxMessageIds.length && inboxParts.length > originalInboxMessageIds.length)) {
+      await this.postSystemMessage("The edited reply is too long to fit in the messages it was originally sent as");
       return false;
     }
 
-    await bot.editMessage(threadMessage.dm_channel_id, threadMessage.dm_message_id, formattedDM);
-    await bot.editMessage(this.channel_id, threadMessage.inbox_message_id, formattedThreadMessage);
+    const dmMessageIds = await this._editMessageParts(threadMessage.dm_channel_id, originalDMMessageIds, dmParts);
+    const inboxMessageIds = await this._editMessageParts(this.channel_id, originalInboxMessageIds, inboxParts);
 
     if (! opts.quiet) {
       const editThreadMessage = new ThreadMessage({
         message_type: THREAD_MESSAGE_TYPE.REPLY_EDITED,
-        user_id: null,
-        user_name: "",
+        user_id: moderator.id,
+        user_name: this._getStaffDisplayName(moderator),
         body: "",
         is_anonymous: 0,
       });
@@ -983,7 +2645,10 @@ class Thread {
       await this._addThreadMessageToDB(editThreadMessage.getSQLProps());
     }
 
-    await this._updateThreadMessage(threadMessage.id, { body: newText });
+    await messageRevisions.addRevision(threadMessage, newText, moderator.id, this._getStaffDisplayName(moderator));
+    this._setMessagePartIds(newThreadMessage, dmMessageIds, inboxMessageIds);
+    const { body, dm_message_id, inbox_message_id, metadata } = newThreadMessage.getSQLProps();
+    await this._updateThreadMessage(threadMessage.id, { body, dm_message_id, inbox_message_id, metadata });
     return true;
   }
 
@@ -995,14 +2660,18 @@ class Thread {
    * @returns {Promise<void>}
    */
   async deleteStaffReply(moderator, threadMessage, opts = {}) {
-    await bot.deleteMessage(threadMessage.dm_channel_id, threadMessage.dm_message_id);
-    await bot.deleteMessage(this.channel_id, threadMessage.inbox_message_id);
+    for (const messageId of this._getDMMessageIds(threadMessage)) {
+      await bot.deleteMessage(threadMessage.dm_channel_id, messageId);
+    }
+    for (const messageId of this._getInboxMessageIds(threadMessage)) {
+      await bot.deleteMessage(this.channel_id, messageId);
+    }
 
     if (! opts.quiet) {
       const deletionThreadMessage = new ThreadMessage({
         message_type: THREAD_MESSAGE_TYPE.REPLY_DELETED,
-        user_id: null,
-        user_name: "",
+        user_id: moderator.id,
+        user_name: this._getStaffDisplayName(moderator),
         body: "",
         is_anonymous: 0,
       });
@@ -1014,7 +2683,198 @@ class Thread {
       await this._addThreadMessageToDB(deletionThreadMessage.getSQLProps());
     }
 
-    await this._deleteThreadMessage(threadMessage.id);
+    await this._deleteThreadMessage(threadMessage.id, moderator.id);
+  }
+
+  /**
+   * @param {ThreadMessage} threadMessage
+   * @returns {string[]} IDs of every DM message the thread message was sent as
+   * @private
+   */
+  _getDMMessageIds(threadMessage) {
+    return threadMessage.getMetadataValue("dmMessageIds")
+      || (threadMessage.dm_message_id ? [threadMessage.dm_message_id] : []);
+  }
+
+  /**
+   * @param {ThreadMessage} threadMessage
+   * @returns {string[]} IDs of every thread channel message the thread message was posted as
+   * @private
+   */
+  _getInboxMessageIds(threadMessage) {
+    return threadMessage.getMetadataValue("inboxMessageIds")
+      || (threadMessage.inbox_message_id ? [threadMessage.inbox_message_id] : []);
+  }
+
+  /**
+   * The first message of each side is stored in the regular columns. The full lists are only kept in metadata for
+   * multi-part messages.
+   * @param {ThreadMessage} threadMessage
+   * @param {string[]} dmMessageIds
+   * @param {string[]} inboxMessageIds
+   * @private
+   */
+  _setMessagePartIds(threadMessage, dmMessageIds, inboxMessageIds) {
+    threadMessage.dm_message_id = dmMessageIds[0] || null;
+    threadMessage.inbox_message_id = inboxMessageIds[0] || null;
+    threadMessage.setMetadataValue("dmMessageIds", dmMessageIds.length > 1 ? dmMessageIds : null);
+    threadMessage.setMetadataValue("inboxMessageIds", inboxMessageIds.length > 1 ? inboxMessageIds : null);
+  }
+
+  /**
+   * Edits an existing set of messages to match new content parts. There must not be more parts than messages.
+   * If there are fewer, the last message (the one carrying any attachments) is kept for the last part
+   * and the messages before it that are no longer needed are deleted.
+   * @param {string} channelId
+   * @param {string[]} messageIds
+   * @param {Eris.AdvancedMessageContent[]} parts
+   * @returns {Promise<string[]>} IDs of the messages that now make up the content
+   * @private
+   */
+  async _editMessageParts(channelId, messageIds, parts) {
+    if (! messageIds.length) return [];
+
+    const keptMessageIds = [
+      ...messageIds.slice(0, parts.length - 1),
+      messageIds[messageIds.length - 1],
+    ];
+
+    for (const [i, part] of parts.entries()) {
+      await bot.editMessage(channelId, keptMessageIds[i], part);
+    }
+
+    for (const messageId of messageIds.slice(parts.length - 1, -1)) {
+      await bot.deleteMessage(channelId, messageId).catch(utils.noop);
+    }
+
+    return keptMessageIds;
+  }
+
+  /**
+   * @param {Eris.Member|Eris.User} member
+   * @returns {string}
+   * @private
+   */
+  _getStaffDisplayName(member) {
+    const user = member.user || member;
+    const regularName = config.useDisplaynames ? user.globalName || user.username : user.username;
+    return config.useNicknames && member.nick ? member.nick : regularName;
+  }
+
+  /**
+   * @param {Eris.Member} moderator
+   * @returns {boolean}
+   */
+  hasClaimOverride(moderator) {
+    const overrideRoles = config.claimOverrideRoles || [];
+    return Boolean(moderator.roles && moderator.roles.some(roleId => overrideRoles.includes(roleId)));
+  }
+
+  /**
+   * Whether the moderator is allowed to reply to the thread, taking claims into account
+   * @param {Eris.Member} moderator
+   * @returns {boolean}
+   */
+  canReply(moderator) {
+    if (! this.assigned_to_id) return true;
+    if (this.assigned_to_id === moderator.id) return true;
+    return this.hasClaimOverride(moderator);
+  }
+
+  /**
+   * @param {Eris.Member|null} assignee
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _setAssignee(assignee) {
+    this.assigned_to_id = assignee ? assignee.id : null;
+    this.assigned_to_name = assignee ? this._getStaffDisplayName(assignee) : null;
+    this.assigned_at = assignee ? moment.utc().format("YYYY-MM-DD HH:mm:ss") : null;
+
+    await knex("threads")
+      .where("id", this.id)
+      .update({
+        assigned_to_id: this.assigned_to_id,
+        assigned_to_name: this.assigned_to_name,
+        assigned_at: this.assigned_at,
+      });
+  }
+
+  /**
+   * Claims the thread for the moderator. Threads claimed by someone else can only be taken over with the override role.
+   * @param {Eris.Member} moderator
+   * @returns {Promise<boolean>} Whether the thread was claimed
+   */
+  async claim(moderator) {
+    if (this.assigned_to_id === moderator.id) {
+      await this.postSystemMessage("You have already claimed this thread");
+      return false;
+    }
+
+    if (this.assigned_to_id && ! this.hasClaimOverride(moderator)) {
+      await this.postSystemMessage(`This thread is already claimed by ${this.assigned_to_name}`);
+      return false;
+    }
+
+    const previousName = this.assigned_to_name;
+    await this._setAssignee(moderator);
+
+    if (previousName) {
+      await this.postSystemMessage(`Thread claimed by ${this.assigned_to_name} (taken over from ${previousName})`);
+    } else {
+      await this.postSystemMessage(`Thread claimed by ${this.assigned_to_name}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Releases the moderator's claim on the thread. Only the assignee or someone with the override role can do this.
+   * @param {Eris.Member} moderator
+   * @returns {Promise<boolean>} Whether the claim was released
+   */
+  async unclaim(moderator) {
+    if (! this.assigned_to_id) {
+      await this.postSystemMessage("This thread is not claimed");
+      return false;
+    }
+
+    if (this.assigned_to_id !== moderator.id && ! this.hasClaimOverride(moderator)) {
+      await this.postSystemMessage(`Only ${this.assigned_to_name} can unclaim this thread`);
+      return false;
+    }
+
+    const previousName = this.assigned_to_name;
+    await this._setAssignee(null);
+    await this.postSystemMessage(`Thread unclaimed by ${this._getStaffDisplayName(moderator)} (was claimed by ${previousName})`);
+
+    return true;
+  }
+
+  /**
+   * Assigns the thread to another moderator. Only the current assignee or someone with the override role can reassign a claimed thread.
+   * @param {Eris.Member} moderator The moderator doing the reassignment
+   * @param {Eris.Member} assignee
+   * @returns {Promise<boolean>} Whether the thread was reassigned
+   */
+  async reassign(moderator, assignee) {
+    if (this.assigned_to_id && this.assigned_to_id !== moderator.id && ! this.hasClaimOverride(moderator)) {
+      await this.postSystemMessage(`Only ${this.assigned_to_name} can reassign this thread`);
+      return false;
+    }
+
+    if (this.assigned_to_id === assignee.id) {
+      await this.postSystemMessage(`This thread is already assigned to ${this.assigned_to_name}`);
+      return false;
+    }
+
+    const previousName = this.assigned_to_name;
+    await this._setAssignee(assignee);
+
+    const fromStr = previousName ? ` from ${previousName}` : "";
+    await this.postSystemMessage(`Thread reassigned${fromStr} to ${this.assigned_to_name} by ${this._getStaffDisplayName(moderator)}`);
+
+    return true;
   }
 
   /**
@@ -1072,7 +2932,8 @@ class Thread {
   }
 
   /**
-   * Requests messages sent after last correspondence from Discord API to recover messages lost to downtime
+   * Requests messages sent after last correspondence from Discord API to recover messages lost to downtime.
+   * Pages through the DM history until we reach the present or config.downtimeRecoveryMaxMessages is hit.
    */
   async recoverDowntimeMessages() {
     if (await isBlocked(this.user_id)) return;
@@ -1080,10 +2941,35 @@ class Thread {
     const dmChannel = await bot.getDMChannel(this.user_id);
     if (! dmChannel) return;
 
-    const lastMessageId = (await this.getLatestThreadMessage()).dm_message_id;
-    let messages = (await dmChannel.getMessages(50, null, lastMessageId, null))
-      .reverse() // We reverse the array to send the messages in the proper order - Discord returns them newest to oldest
-      .filter(msg => msg.author.id === this.user_id); // Make sure we're not recovering bot or system messages
+    // Queued replies haven't reached the user's DMs yet, so they can't be used as the starting point
+    const latestThreadMessage = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .whereIn("message_type", [THREAD_MESSAGE_TYPE.FROM_USER, THREAD_MESSAGE_TYPE.TO_USER, THREAD_MESSAGE_TYPE.SYSTEM_TO_USER])
+      .whereNotNull("dm_message_id")
+      .whereNull("deleted_at")
+      .orderBy("created_at", "DESC")
+      .orderBy("id", "DESC")
+      .first();
+    if (! latestThreadMessage) return;
+
+    await this._recoverDowntimeEdits(dmChannel, latestThreadMessage);
+
+    const maxMessages = config.downtimeRecoveryMaxMessages || DEFAULT_DOWNTIME_RECOVERY_MAX_MESSAGES;
+    let messages = [];
+    let after = latestThreadMessage.dm_message_id;
+    while (messages.length <= maxMessages) {
+      const page = (await dmChannel.getMessages(DOWNTIME_RECOVERY_PAGE_SIZE, null, after, null))
+        .reverse(); // We reverse the array to send the messages in the proper order - Discord returns them newest to oldest
+      if (page.length === 0) break;
+
+      after = page[page.length - 1].id;
+      messages.push(...page.filter(msg => msg.author.id === this.user_id)); // Make sure we're not recovering bot or system messages
+
+      if (page.length < DOWNTIME_RECOVERY_PAGE_SIZE) break;
+    }
+
+    const hitCap = messages.length > maxMessages;
+    messages = messages.slice(0, maxMessages);
 
     if (messages.length === 0) return;
 
@@ -1094,6 +2980,63 @@ class Thread {
       await this.receiveUserReply(msg, ! isFirst);
       isFirst = false;
     }
+
+    if (hitCap) {
+      console.warn(`[WARN] Downtime recovery for thread ${this.id} stopped at the limit of ${maxMessages} messages`);
+      await this.postSystemMessage(`⚠️ Only the first ${maxMessages} messages sent during downtime were recovered. Check the user's DMs for the rest.`);
+    }
+  }
+
+  /**
+   * Picks up edits the user made to already logged messages while the bot was down
+   * @param {Eris.PrivateChannel} dmChannel
+   * @param {ThreadMessage} latestThreadMessage
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverDowntimeEdits(dmChannel, latestThreadMessage) {
+    const recentUserMessages = await knex("thread_messages")
+      .where("thread_id", this.id)
+      .where("message_type", THREAD_MESSAGE_TYPE.FROM_USER)
+      .whereNotNull("dm_message_id")
+      .whereNull("deleted_at")
+      .orderBy("id", "DESC")
+      .limit(DOWNTIME_RECOVERY_PAGE_SIZE)
+      .select();
+    if (! recentUserMessages.length) return;
+
+    const rowsByMessageId = recentUserMessages.reduce((map, row) => {
+      map[row.dm_message_id] = row;
+      return map;
+    }, {});
+
+    // Page forward from just before the oldest of those messages, so it's included, up to the newest one.
+    // The user's messages are interleaved with staff replies, so this can take several pages.
+    const oldestMessageId = recentUserMessages[recentUserMessages.length - 1].dm_message_id;
+    const newestMessageId = BigInt(recentUserMessages[0].dm_message_id);
+    const downtimeStart = moment.utc(latestThreadMessage.created_at, "YYYY-MM-DD HH:mm:ss");
+
+    let after = (BigInt(oldestMessageId) - 1n).toString();
+    while (BigInt(after) < newestMessageId) {
+      const page = (await dmChannel.getMessages(DOWNTIME_RECOVERY_PAGE_SIZE, null, after, null)).reverse();
+      if (page.length === 0) break;
+
+      after = page[page.length - 1].id;
+
+      for (const msg of page) {
+        const row = rowsByMessageId[msg.id];
+        if (! row || ! msg.editedTimestamp) continue;
+        if (! moment.utc(msg.editedTimestamp).isAfter(downtimeStart)) continue;
+
+        // handleUserMessageEdit() already logs the before and after, so the inbox only gets a pointer to the edited message
+        const edited = await this.handleUserMessageEdit(msg);
+        if (edited) {
+          await this.postNonLogMessage(`✏️ ${this.user_name} edited message ${row.id} while the bot was down`);
+        }
+      }
+
+      if (page.length < DOWNTIME_RECOVERY_PAGE_SIZE) break;
+    }
   }
 }
 
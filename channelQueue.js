@@ -0,0 +1,185 @@
+const Eris = require("eris");
+const bot = require("../bot");
+const utils = require("../utils");
+const config = require("../cfg");
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_RATE_LIMIT_RETRIES = 5;
+const DEFAULT_RATE_LIMIT_WAIT = 1000;
+const DEFAULT_BACKPRESSURE_THRESHOLD = 25;
+
+/**
+ * @typedef {object} QueuedMessage
+ * @property {Eris.AdvancedMessageContent} content
+ * @property {Eris.MessageFile|Eris.MessageFile[]|null} file
+ * @property {boolean} batchable
+ * @property {function(Eris.Message): void} resolve
+ * @property {function(Error): void} reject
+ */
+
+/**
+ * @type {Map<string, { items: QueuedMessage[], processing: boolean, backedUp: boolean }>}
+ */
+const queues = new Map();
+
+/**
+ * @param {string} channelId
+ */
+function getQueue(channelId) {
+  if (! queues.has(channelId)) {
+    queues.set(channelId, { items: [], processing: false, backedUp: false });
+  }
+
+  return queues.get(channelId);
+}
+
+/**
+ * @returns {number}
+ */
+function getBackpressureThreshold() {
+  return config.channelQueueBackpressureThreshold || DEFAULT_BACKPRESSURE_THRESHOLD;
+}
+
+/**
+ * @param {Error} err
+ * @returns {number|null} How long to wait before retrying, or null if the error wasn't a rate limit
+ */
+function getRateLimitWait(err) {
+  if (! (err instanceof Eris.DiscordHTTPError) || err.code !== 429) return null;
+
+  const retryAfter = err.response && err.response.headers && parseFloat(err.response.headers["retry-after"]);
+  return retryAfter ? Math.ceil(retryAfter * 1000) : DEFAULT_RATE_LIMIT_WAIT;
+}
+
+/**
+ * Only plain text messages without files, embeds or replies can be merged into one
+ * @param {QueuedMessage} item
+ * @returns {boolean}
+ */
+function canBatch(item) {
+  if (! item.batchable || item.file) return false;
+  const keys = Object.keys(item.content).filter(key => item.content[key] != null);
+  return keys.every(key => key === "content" || key === "allowedMentions");
+}
+
+/**
+ * Takes the next message off the queue, merging it with any directly following messages that can be batched with it
+ * @param {QueuedMessage[]} items
+ * @returns {{ content: Eris.AdvancedMessageContent, file: *, batch: QueuedMessage[] }}
+ */
+function takeNextBatch(items) {
+  const first = items.shift();
+  const batch = [first];
+  if (! canBatch(first)) {
+    return { content: first.content, file: first.file, batch };
+  }
+
+  const allowedMentions = JSON.stringify(first.content.allowedMentions || null);
+  let text = first.content.content || "";
+  while (items.length && canBatch(items[0]) && JSON.stringify(items[0].content.allowedMentions || null) === allowedMentions) {
+    const nextText = items[0].content.content || "";
+    if (text.length + 1 + nextText.length > MAX_MESSAGE_LENGTH) break;
+
+    text = `${text}\n${nextText}`;
+    batch.push(items.shift());
+  }
+
+  return {
+    content: { ...first.content, content: text },
+    file: null,
+    batch,
+  };
+}
+
+/**
+ * @param {string} channelId
+ * @returns {Promise<void>}
+ */
+async function processQueue(channelId) {
+  const queue = getQueue(channelId);
+  if (queue.processing) return;
+  queue.processing = true;
+
+  while (queue.items.length) {
+    const { content, file, batch } = takeNextBatch(queue.items);
+
+    let attempts = 0;
+    while (true) {
+      try {
+        const msg = await bot.createMessage(channelId, content, file);
+        batch.forEach(item => item.resolve(msg));
+        break;
+      } catch (e) {
+        const wait = getRateLimitWait(e);
+        if (wait != null && attempts < MAX_RATE_LIMIT_RETRIES) {
+          attempts++;
+          await new Promise(resolve => setTimeout(resolve, wait));
+          continue;
+        }
+
+        batch.forEach(item => item.reject(e));
+        break;
+      }
+    }
+
+    if (queue.backedUp && queue.items.length < getBackpressureThreshold()) {
+      queue.backedUp = false;
+      console.log(`[INFO] Send queue for channel ${channelId} has caught up`);
+    }
+  }
+
+  queue.processing = false;
+  queues.delete(channelId);
+}
+
+/**
+ * Queues a message to be posted in the channel. Messages to the same channel are always posted in the order they were queued.
+ * @param {string} channelId
+ * @param {Eris.MessageContent} content
+ * @param {Eris.MessageFile|Eris.MessageFile[]} [file]
+ * @param {object} [opts]
+ * @param {boolean} [opts.batchable] Whether the message may be merged with adjacent batchable messages
+ * @returns {Promise<Eris.Message>}
+ */
+function createMessage(channelId, content, file = null, opts = {}) {
+  const queue = getQueue(channelId);
+  const promise = new Promise((resolve, reject) => {
+    queue.items.push({
+      content: utils.messageContentToAdvancedMessageContent(content),
+      file,
+      batchable: Boolean(opts.batchable),
+      resolve,
+      reject,
+    });
+  });
+
+  if (! queue.backedUp && queue.items.length >= getBackpressureThreshold()) {
+    queue.backedUp = true;
+    console.warn(`[WARN] Send queue for channel ${channelId} is backed up with ${queue.items.length} messages`);
+  }
+
+  processQueue(channelId);
+  return promise;
+}
+
+/**
+ * @param {string} channelId
+ * @returns {number} The number of messages waiting to be posted in the channel
+ */
+function getQueueSize(channelId) {
+  return queues.has(channelId) ? queues.get(channelId).items.length : 0;
+}
+
+/**
+ * @param {string} channelId
+ * @returns {boolean} Whether the channel's queue has reached config.channelQueueBackpressureThreshold
+ */
+function isBackedUp(channelId) {
+  return queues.has(channelId) && queues.get(channelId).backedUp;
+}
+
+module.exports = {
+  createMessage,
+  getQueueSize,
+  isBackedUp,
+};
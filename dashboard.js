@@ -38,6 +38,12 @@ const metrics = require("datadog-metrics");
 const { cpu } = require("node-os-utils");
 const Application = require("../database/models/application/application.js");
 const customCommand = require("../database/schemas/customCommand.js");
+const modmailConfig = require("../cfg");
+const modmailSearch = require("../data/search");
+const modmailStats = require("../data/moderatorStats");
+const modmailRevisions = require("../data/messageRevisions");
+const modmailSurveys = require("../data/surveys");
+const modmailScheduler = require("../data/scheduler");
 //dont touch here
 const Hook = new Discord.WebhookClient({ url: jsonconfig.webhooks.votes });
 
@@ -148,6 +154,13 @@ module.exports = async (client) => {
     res.redirect("/login");
   };
 
+  // Modmail data isn't scoped per guild, so it's only served for the inbox guild
+  const checkModmailInbox = (req, res, next) => {
+    if (req.params.guildID !== modmailConfig.inboxServerId)
+      return res.status(404).send("Unknown guild");
+    next();
+  };
+
   // Login endpoint.
   app.get(
     "/login",
@@ -401,7 +414,7 @@ module.exports = async (client) => {
   });
 
   const pastes = await Paste.find({
-    type: "ticket",
+    type: { $in: ["ticket", "modmail"] },
   });
 
   for (const pasteE of pastes) {
@@ -444,6 +457,52 @@ module.exports = async (client) => {
         });
       }
     } else {
+      const modmail = await Paste.findOne({
+        _id: req.params.pasteID,
+        type: "modmail",
+      });
+
+      if (modmail) {
+        if (modmail.createdAt > modmail.expiresAt || Date.now() > modmail.expiresAt) {
+          await modmail.deleteOne().catch(() => {});
+
+          renderTemplate(res, req, "paste.ejs", {
+            type: "noFind",
+          });
+          return;
+        }
+
+        const messages = modmail.paste
+          .map((entry) => {
+            try {
+              return JSON.parse(entry);
+            } catch (e) {
+              return null;
+            }
+          })
+          .filter((entry) => entry != null)
+          .map((entry) => ({
+            ...entry,
+            timestamp: moment
+              .utc(entry.timestamp)
+              .format("dddd, MMMM Do YYYY HH:mm:ss"),
+          }));
+
+        renderTemplate(res, req, "paste.ejs", {
+          expires: moment(modmail.expiresAt).format(
+            "dddd, MMMM Do YYYY HH:mm:ss"
+          ),
+          created: moment(modmail.createdAt).format(
+            "dddd, MMMM Do YYYY HH:mm:ss"
+          ),
+          messages: messages,
+          id: modmail._id,
+          db: modmail,
+          type: "modmail",
+        });
+        return;
+      }
+
       const form = await Paste.findOne({
         _id: req.params.pasteID,
         type: "form",
@@ -2063,6 +2122,131 @@ module.exports = async (client) => {
   //   });
   // });
 
+  //modmail
+  app.get("/dashboard/:guildID/modmail/search", checkAuth, checkModmailInbox, async (req, res) => {
+    const guild = client.guilds.cache.get(req.params.guildID);
+    if (!guild) return res.status(404).send("Unknown guild");
+    const member = await guild.members.fetch(req.user.id);
+    if (!member) return res.status(403).send("You don't have permission.");
+    if (!member.permissions.has("MANAGE_GUILD"))
+      return res.status(403).send("You don't have permission.");
+
+    const toList = (value) =>
+      value ? String(value).split(",").filter((v) => v !== "") : [];
+
+    let hasAttachments;
+    if (req.query.attachments === "true") hasAttachments = true;
+    if (req.query.attachments === "false") hasAttachments = false;
+
+    if (req.query.q != null && typeof req.query.q !== "string")
+      return res.status(400).send("q must be a single value");
+
+    const opts = {
+      userName: req.query.user,
+      messageTypes: toList(req.query.types),
+      threadStatus: toList(req.query.status),
+      hasAttachments,
+      from: req.query.from,
+      to: req.query.to,
+      page: req.query.page,
+      perPage: req.query.perPage,
+      highlightStart: "<mark>",
+      highlightEnd: "</mark>",
+      escapeHtml: true,
+    };
+    const invalidOption = modmailSearch.validateSearchOptions(opts);
+    if (invalidOption) return res.status(400).send(invalidOption);
+
+    const result = await modmailSearch.searchThreadMessages(req.query.q || "", opts);
+
+    res.json({
+      ...result,
+      results: result.results.map((r) => ({
+        ...r,
+        threadMessage: r.threadMessage.getSQLProps(),
+      })),
+    });
+  });
+
+  app.get("/dashboard/:guildID/modmail/stats", checkAuth, checkModmailInbox, async (req, res) => {
+    const guild = client.guilds.cache.get(req.params.guildID);
+    if (!guild) return res.status(404).send("Unknown guild");
+    const member = await guild.members.fetch(req.user.id);
+    if (!member) return res.status(403).send("You don't have permission.");
+    if (!member.permissions.has("MANAGE_GUILD"))
+      return res.status(403).send("You don't have permission.");
+
+    const stats = await modmailStats.getModeratorStats({
+      from: req.query.from,
+      to: req.query.to,
+      moderatorId: req.query.moderator,
+    });
+
+    const closeCategories = await modmailStats.getCloseCategoryStats({
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    const surveys = await modmailSurveys.getSurveyStats({
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.json({
+      from: req.query.from || null,
+      to: req.query.to || null,
+      moderators: stats,
+      closeCategories: closeCategories,
+      surveys: surveys,
+    });
+  });
+
+  app.get(
+    "/dashboard/:guildID/modmail/threads/:threadID/revisions",
+    checkAuth,
+    checkModmailInbox,
+    async (req, res) => {
+      const guild = client.guilds.cache.get(req.params.guildID);
+      if (!guild) return res.status(404).send("Unknown guild");
+      const member = await guild.members.fetch(req.user.id);
+      if (!member) return res.status(403).send("You don't have permission.");
+      if (!member.permissions.has("MANAGE_GUILD"))
+        return res.status(403).send("You don't have permission.");
+
+      const revisions = await modmailRevisions.getRevisionsForThread(
+        req.params.threadID
+      );
+
+      res.json({
+        threadId: req.params.threadID,
+        revisions: revisions,
+      });
+    }
+  );
+
+  app.get(
+    "/dashboard/:guildID/modmail/threads/:threadID/jobs",
+    checkAuth,
+    checkModmailInbox,
+    async (req, res) => {
+      const guild = client.guilds.cache.get(req.params.guildID);
+      if (!guild) return res.status(404).send("Unknown guild");
+      const member = await guild.members.fetch(req.user.id);
+      if (!member) return res.status(403).send("You don't have permission.");
+      if (!member.permissions.has("MANAGE_GUILD"))
+        return res.status(403).send("You don't have permission.");
+
+      const jobs = await modmailScheduler.getJobsForThread(
+        req.params.threadID
+      );
+
+      res.json({
+        threadId: req.params.threadID,
+        jobs: jobs,
+      });
+    }
+  );
+
   //automod
   app.get("/dashboard/:guildID/automod", checkAuth, async (req, res) => {
     const guild = client.guilds.cache.get(req.params.guildID);
@@ -0,0 +1,195 @@
+const moment = require("moment");
+const Eris = require("eris");
+const knex = require("../knex");
+const config = require("../cfg");
+
+const DM_QUEUE_CHECK_INTERVAL = 5 * 1000;
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DMS_CLOSED_ERROR_CODE = 50007; // "Cannot send messages to this user"
+
+const DELIVERY_STATUS = {
+  PENDING: "pending",
+  DELIVERED: "delivered",
+  FAILED: "failed",
+};
+
+/**
+ * @typedef {object} QueuedDelivery
+ * @property {number} id
+ * @property {string} thread_id
+ * @property {number} thread_message_id
+ * @property {string} status
+ * @property {number} attempts
+ * @property {string} next_attempt_at
+ * @property {string} last_error
+ * @property {string} created_at
+ */
+
+/**
+ * Rate limits, Discord server errors and network errors are worth retrying. Anything else (e.g. the user having DMs closed)
+ * won't fix itself.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isTemporaryDeliveryError(err) {
+  if (err instanceof Eris.DiscordHTTPError) {
+    return err.code === 429 || err.code >= 500;
+  }
+
+  if (err instanceof Eris.DiscordRESTError) {
+    return false;
+  }
+
+  // Node network errors, e.g. ECONNRESET or ETIMEDOUT
+  return typeof err.code === "string";
+}
+
+/**
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isDMsClosedError(err) {
+  return (err instanceof Eris.DiscordRESTError && err.code === DMS_CLOSED_ERROR_CODE) || err.dmsClosed === true;
+}
+
+/**
+ * @returns {number}
+ */
+function getMaxAttempts() {
+  return config.dmRetryMaxAttempts || DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * @param {number} attempts
+ * @returns {string}
+ */
+function getNextAttemptAt(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+  return moment.utc().add(delay, "ms").format("YYYY-MM-DD HH:mm:ss");
+}
+
+/**
+ * Queues a staff reply whose DM failed to send with a temporary error
+ * @param {ThreadMessage} threadMessage
+ * @param {Error} err
+ * @returns {Promise<QueuedDelivery>}
+ */
+async function enqueue(threadMessage, err) {
+  const insertedIds = await knex("dm_delivery_queue").insert({
+    thread_id: threadMessage.thread_id,
+    thread_message_id: threadMessage.id,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: 1,
+    next_attempt_at: getNextAttemptAt(1),
+    last_error: err.message,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+
+  return knex("dm_delivery_queue")
+    .where("id", insertedIds[0])
+    .first();
+}
+
+/**
+ * Records a failed attempt. The delivery is marked as failed once it runs out of attempts or the error is permanent.
+ * @param {QueuedDelivery} delivery
+ * @param {Error} err
+ * @returns {Promise<boolean>} Whether the delivery will be retried
+ */
+async function recordFailedAttempt(delivery, err) {
+  const attempts = delivery.attempts + 1;
+  const willRetry = isTemporaryDeliveryError(err) && attempts < getMaxAttempts();
+
+  await knex("dm_delivery_queue")
+    .where("id", delivery.id)
+    .update({
+      status: willRetry ? DELIVERY_STATUS.PENDING : DELIVERY_STATUS.FAILED,
+      attempts,
+      next_attempt_at: willRetry ? getNextAttemptAt(attempts) : null,
+      last_error: err.message,
+    });
+
+  return willRetry;
+}
+
+/**
+ * @param {QueuedDelivery} delivery
+ * @returns {Promise<void>}
+ */
+async function markDelivered(delivery) {
+  await knex("dm_delivery_queue")
+    .where("id", delivery.id)
+    .update({
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts: delivery.attempts + 1,
+      next_attempt_at: null,
+    });
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<QueuedDelivery[]>}
+ */
+async function getPendingDeliveriesForThread(threadId) {
+  return knex("dm_delivery_queue")
+    .where("thread_id", threadId)
+    .where("status", DELIVERY_STATUS.PENDING)
+    .orderBy("id", "ASC")
+    .select();
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function processDueDeliveries() {
+  const threads = require("./threads");
+
+  const dueDeliveries = await knex("dm_delivery_queue")
+    .where("status", DELIVERY_STATUS.PENDING)
+    .where("next_attempt_at", "<=", moment.utc().format("YYYY-MM-DD HH:mm:ss"))
+    .orderBy("id", "ASC")
+    .select();
+
+  for (const delivery of dueDeliveries) {
+    const thread = await threads.findById(delivery.thread_id);
+    if (! thread) {
+      await recordFailedAttempt(delivery, new Error("Thread no longer exists"));
+      continue;
+    }
+
+    await thread.retryQueuedReply(delivery).catch(e => {
+      console.error(`Failed to retry queued reply ${delivery.id} for thread ${delivery.thread_id}: ${e.message}`);
+    });
+  }
+}
+
+async function dmQueueLoop() {
+  try {
+    await processDueDeliveries();
+  } catch (e) {
+    console.error(e);
+  }
+
+  setTimeout(dmQueueLoop, DM_QUEUE_CHECK_INTERVAL);
+}
+
+/**
+ * Starts retrying queued DM deliveries. Should be called once the bot is ready.
+ */
+function startDMQueueLoop() {
+  dmQueueLoop();
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  isTemporaryDeliveryError,
+  isDMsClosedError,
+  enqueue,
+  recordFailedAttempt,
+  markDelivered,
+  getPendingDeliveriesForThread,
+  processDueDeliveries,
+  startDMQueueLoop,
+};
@@ -0,0 +1,53 @@
+const utils = require("../utils");
+const config = require("../cfg");
+
+const INACTIVITY_CHECK_INTERVAL = 5 * 60 * 1000;
+const DEFAULT_INACTIVITY_GRACE_PERIOD = "24h";
+
+/**
+ * @returns {{ closeAfter: number|null, gracePeriod: number }}
+ */
+function getInactivityThresholds() {
+  return {
+    closeAfter: config.inactivityCloseTime ? utils.convertDelayStringToMS(config.inactivityCloseTime) : null,
+    gracePeriod: utils.convertDelayStringToMS(config.inactivityGracePeriod || DEFAULT_INACTIVITY_GRACE_PERIOD),
+  };
+}
+
+/**
+ * Checks every open thread against the inactivity policy
+ * @returns {Promise<void>}
+ */
+async function checkInactiveThreads() {
+  const threads = require("./threads");
+  const openThreads = await threads.getAllOpenThreads();
+  for (const thread of openThreads) {
+    await thread.checkInactivity().catch(e => {
+      console.error(`Failed to check inactivity of thread ${thread.id}: ${e.message}`);
+    });
+  }
+}
+
+async function inactivityLoop() {
+  try {
+    await checkInactiveThreads();
+  } catch (e) {
+    console.error(e);
+  }
+
+  setTimeout(inactivityLoop, INACTIVITY_CHECK_INTERVAL);
+}
+
+/**
+ * Starts the periodic inactivity check. Does nothing if config.inactivityCloseTime is not set.
+ */
+function startInactivityLoop() {
+  if (! config.inactivityCloseTime) return;
+  inactivityLoop();
+}
+
+module.exports = {
+  getInactivityThresholds,
+  checkInactiveThreads,
+  startInactivityLoop,
+};
@@ -0,0 +1,85 @@
+const moment = require("moment");
+const knex = require("../knex");
+
+/**
+ * @typedef {object} ThreadMessageRevision
+ * @property {number} id
+ * @property {number} thread_message_id
+ * @property {string} thread_id
+ * @property {string} old_body
+ * @property {string} new_body
+ * @property {string} editor_id
+ * @property {string} editor_name
+ * @property {string} created_at
+ */
+
+/**
+ * Records an edit of a thread message. Does nothing if the body didn't actually change.
+ * @param {ThreadMessage} threadMessage The message as it was before the edit
+ * @param {string} newBody
+ * @param {string|null} editorId
+ * @param {string|null} editorName
+ * @returns {Promise<void>}
+ */
+async function addRevision(threadMessage, newBody, editorId, editorName) {
+  if (threadMessage.body === newBody) return;
+
+  await knex("thread_message_revisions").insert({
+    thread_message_id: threadMessage.id,
+    thread_id: threadMessage.thread_id,
+    old_body: threadMessage.body,
+    new_body: newBody,
+    editor_id: editorId,
+    editor_name: editorName,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+}
+
+/**
+ * @param {number} threadMessageId
+ * @returns {Promise<ThreadMessageRevision[]>}
+ */
+async function getRevisionsForThreadMessage(threadMessageId) {
+  return knex("thread_message_revisions")
+    .where("thread_message_id", threadMessageId)
+    .orderBy("created_at", "ASC")
+    .orderBy("id", "ASC")
+    .select();
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<Object<number, ThreadMessageRevision[]>>} Revisions grouped by thread message ID
+ */
+async function getRevisionsForThread(threadId) {
+  const rows = await knex("thread_message_revisions")
+    .where("thread_id", threadId)
+    .orderBy("created_at", "ASC")
+    .orderBy("id", "ASC")
+    .select();
+
+  return rows.reduce((map, row) => {
+    map[row.thread_message_id] = map[row.thread_message_id] || [];
+    map[row.thread_message_id].push(row);
+    return map;
+  }, {});
+}
+
+/**
+ * @param {number[]} threadMessageIds
+ * @returns {Promise<void>}
+ */
+async function deleteRevisionsForThreadMessages(threadMessageIds) {
+  if (! threadMessageIds.length) return;
+
+  await knex("thread_message_revisions")
+    .whereIn("thread_message_id", threadMessageIds)
+    .delete();
+}
+
+module.exports = {
+  addRevision,
+  getRevisionsForThreadMessage,
+  getRevisionsForThread,
+  deleteRevisionsForThreadMessages,
+};
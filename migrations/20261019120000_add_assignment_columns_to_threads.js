@@ -0,0 +1,15 @@
+exports.up = async function(knex, Promise) {
+  await knex.schema.table("threads", table => {
+    table.string("assigned_to_id", 20).nullable().defaultTo(null);
+    table.string("assigned_to_name", 128).nullable().defaultTo(null);
+    table.dateTime("assigned_at").nullable().defaultTo(null);
+  });
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.table("threads", table => {
+    table.dropColumn("assigned_to_id");
+    table.dropColumn("assigned_to_name");
+    table.dropColumn("assigned_at");
+  });
+};
@@ -0,0 +1,18 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("thread_message_revisions")) {
+    await knex.schema.createTable("thread_message_revisions", table => {
+      table.increments("id");
+      table.integer("thread_message_id").unsigned().notNullable().index();
+      table.string("thread_id", 36).notNullable().index();
+      table.text("old_body").nullable();
+      table.text("new_body").nullable();
+      table.string("editor_id", 20).nullable();
+      table.string("editor_name", 128).nullable();
+      table.dateTime("created_at").notNullable();
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("thread_message_revisions");
+};
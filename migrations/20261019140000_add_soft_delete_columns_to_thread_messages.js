@@ -0,0 +1,13 @@
+exports.up = async function(knex, Promise) {
+  await knex.schema.table("thread_messages", table => {
+    table.dateTime("deleted_at").nullable().defaultTo(null).index();
+    table.string("deleted_by", 20).nullable().defaultTo(null);
+  });
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.table("thread_messages", table => {
+    table.dropColumn("deleted_at");
+    table.dropColumn("deleted_by");
+  });
+};
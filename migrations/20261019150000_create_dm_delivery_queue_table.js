@@ -0,0 +1,18 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("dm_delivery_queue")) {
+    await knex.schema.createTable("dm_delivery_queue", table => {
+      table.increments("id");
+      table.string("thread_id", 36).notNullable().index();
+      table.integer("thread_message_id").unsigned().notNullable().unique();
+      table.string("status", 16).notNullable().index();
+      table.integer("attempts").unsigned().notNullable().defaultTo(0);
+      table.dateTime("next_attempt_at").nullable().index();
+      table.text("last_error").nullable();
+      table.dateTime("created_at").notNullable();
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("dm_delivery_queue");
+};
@@ -0,0 +1,15 @@
+exports.up = async function(knex, Promise) {
+  await knex.schema.table("threads", table => {
+    table.text("close_reason").nullable().defaultTo(null);
+    table.string("close_category", 64).nullable().defaultTo(null).index();
+    table.dateTime("closed_at").nullable().defaultTo(null);
+  });
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.table("threads", table => {
+    table.dropColumn("close_reason");
+    table.dropColumn("close_category");
+    table.dropColumn("closed_at");
+  });
+};
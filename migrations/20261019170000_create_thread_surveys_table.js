@@ -0,0 +1,20 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("thread_surveys")) {
+    await knex.schema.createTable("thread_surveys", table => {
+      table.increments("id");
+      table.string("thread_id", 36).notNullable().unique();
+      table.string("user_id", 20).notNullable();
+      table.string("moderator_id", 20).nullable().index();
+      table.string("moderator_name", 128).nullable();
+      table.string("dm_message_id", 20).nullable();
+      table.integer("rating").unsigned().nullable();
+      table.text("comment").nullable();
+      table.dateTime("created_at").notNullable();
+      table.dateTime("responded_at").nullable().index();
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("thread_surveys");
+};
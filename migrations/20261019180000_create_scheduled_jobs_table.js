@@ -0,0 +1,47 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("scheduled_jobs")) {
+    await knex.schema.createTable("scheduled_jobs", table => {
+      table.increments("id");
+      table.string("thread_id", 36).notNullable().index();
+      table.string("type", 32).notNullable();
+      table.dateTime("run_at").notNullable().index();
+      table.text("payload").nullable();
+      table.string("created_by_id", 20).nullable();
+      table.string("created_by_name", 128).nullable();
+      table.dateTime("created_at").notNullable();
+    });
+  }
+
+  // Carry over closes and suspends that were scheduled before the scheduler existed
+  const now = new Date().toISOString().slice(0, 19).replace("T", " ");
+
+  const scheduledCloses = await knex("threads").whereNotNull("scheduled_close_at").select();
+  for (const thread of scheduledCloses) {
+    await knex("scheduled_jobs").insert({
+      thread_id: thread.id,
+      type: "close",
+      run_at: thread.scheduled_close_at,
+      payload: JSON.stringify({ silent: Boolean(thread.scheduled_close_silent) }),
+      created_by_id: thread.scheduled_close_id,
+      created_by_name: thread.scheduled_close_name,
+      created_at: now,
+    });
+  }
+
+  const scheduledSuspends = await knex("threads").whereNotNull("scheduled_suspend_at").select();
+  for (const thread of scheduledSuspends) {
+    await knex("scheduled_jobs").insert({
+      thread_id: thread.id,
+      type: "suspend",
+      run_at: thread.scheduled_suspend_at,
+      payload: null,
+      created_by_id: thread.scheduled_suspend_id,
+      created_by_name: thread.scheduled_suspend_name,
+      created_at: now,
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("scheduled_jobs");
+};
@@ -0,0 +1,25 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("pending_replies")) {
+    await knex.schema.createTable("pending_replies", table => {
+      table.increments("id");
+      table.string("thread_id", 36).notNullable().index();
+      table.string("status", 16).notNullable().index();
+      table.string("author_id", 20).notNullable();
+      table.string("author_name", 128).notNullable();
+      table.text("body").notNullable();
+      table.integer("is_anonymous").unsigned().notNullable();
+      table.text("message_reference").nullable();
+      table.dateTime("send_at").nullable();
+      table.string("edited_by_name", 128).nullable();
+      table.string("reviewed_by_id", 20).nullable();
+      table.string("reviewed_by_name", 128).nullable();
+      table.dateTime("reviewed_at").nullable();
+      table.string("inbox_message_id", 20).nullable();
+      table.dateTime("created_at").notNullable();
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("pending_replies");
+};
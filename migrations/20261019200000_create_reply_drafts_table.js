@@ -0,0 +1,20 @@
+exports.up = async function(knex, Promise) {
+  if (! await knex.schema.hasTable("reply_draft_versions")) {
+    await knex.schema.createTable("reply_draft_versions", table => {
+      table.increments("id");
+      table.string("thread_id", 36).notNullable().index();
+      table.string("owner_id", 20).notNullable();
+      table.string("owner_name", 128).notNullable();
+      table.text("body").notNullable();
+      table.integer("is_anonymous").unsigned().notNullable();
+      table.string("editor_id", 20).notNullable();
+      table.string("editor_name", 128).notNullable();
+      table.string("preview_message_id", 20).nullable();
+      table.dateTime("created_at").notNullable();
+    });
+  }
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.dropTableIfExists("reply_draft_versions");
+};
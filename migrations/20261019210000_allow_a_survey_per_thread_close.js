@@ -0,0 +1,15 @@
+exports.up = async function(knex, Promise) {
+  await knex.schema.table("thread_surveys", table => {
+    table.dropUnique(["thread_id"]);
+    table.dateTime("thread_closed_at").nullable().defaultTo(null);
+    table.unique(["thread_id", "thread_closed_at"]);
+  });
+};
+
+exports.down = async function(knex, Promise) {
+  await knex.schema.table("thread_surveys", table => {
+    table.dropUnique(["thread_id", "thread_closed_at"]);
+    table.dropColumn("thread_closed_at");
+    table.unique(["thread_id"]);
+  });
+};
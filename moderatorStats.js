@@ -0,0 +1,248 @@
+const moment = require("moment");
+const knex = require("../knex");
+const utils = require("../utils");
+const ThreadMessage = require("./ThreadMessage");
+const { THREAD_MESSAGE_TYPE, THREAD_STATUS } = require("./constants");
+const { calculateResponseTimes } = require("./sla");
+
+/**
+ * @typedef {object} ModeratorStats
+ * @property {string} moderatorId
+ * @property {string} moderatorName
+ * @property {number} repliesSent
+ * @property {number} threadsHandled
+ * @property {number|null} medianResponseTime In milliseconds
+ * @property {number} anonymousReplies
+ * @property {number} namedReplies
+ * @property {number|null} anonymousRatio Share of replies that were anonymous, between 0 and 1
+ * @property {number} edits
+ * @property {number} deletes
+ */
+
+/**
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (! values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+    : sorted[middle];
+}
+
+/**
+ * @param {object} query
+ * @param {string|Date} [from]
+ * @param {string|Date} [to]
+ * @param {string} [column]
+ */
+function applyDateRange(query, from, to, column = "created_at") {
+  if (from) query.where(column, ">=", moment.utc(from).format("YYYY-MM-DD HH:mm:ss"));
+  if (to) query.where(column, "<=", moment.utc(to).format("YYYY-MM-DD HH:mm:ss"));
+  return query;
+}
+
+/**
+ * Deletion notifications from before they had an author only know who wrote the original reply,
+ * so fall back to that
+ * @param {ThreadMessage} threadMessage
+ * @returns {{ id: string, name: string }|null}
+ */
+function getNotificationModerator(threadMessage) {
+  if (threadMessage.user_id) {
+    return { id: threadMessage.user_id, name: threadMessage.user_name };
+  }
+
+  const original = threadMessage.getMetadataValue("originalThreadMessage");
+  return original && original.user_id
+    ? { id: original.user_id, name: original.user_name }
+    : null;
+}
+
+/**
+ * Builds per-moderator workload statistics from thread history
+ * @param {object} opts
+ * @param {string|Date} [opts.from] Only count activity at or after this date
+ * @param {string|Date} [opts.to] Only count activity at or before this date
+ * @param {string} [opts.moderatorId] Only return stats for this moderator
+ * @returns {Promise<ModeratorStats[]>} Sorted by replies sent, most first
+ */
+async function getModeratorStats(opts = {}) {
+  const statsById = new Map();
+  const getEntry = (id, name) => {
+    if (! statsById.has(id)) {
+      statsById.set(id, {
+        moderatorId: id,
+        moderatorName: name,
+        repliesSent: 0,
+        threadIds: new Set(),
+        latencies: [],
+        anonymousReplies: 0,
+        namedReplies: 0,
+        edits: 0,
+        deletes: 0,
+      });
+    }
+
+    return statsById.get(id);
+  };
+
+  const replyRows = await applyDateRange(knex("thread_messages"), opts.from, opts.to)
+    .where("message_type", THREAD_MESSAGE_TYPE.TO_USER)
+    .whereNull("deleted_at")
+    .select("id", "thread_id", "user_id", "user_name", "is_anonymous");
+
+  for (const row of replyRows) {
+    const entry = getEntry(row.user_id, row.user_name);
+    entry.repliesSent++;
+    entry.threadIds.add(row.thread_id);
+    if (row.is_anonymous) {
+      entry.anonymousReplies++;
+    } else {
+      entry.namedReplies++;
+    }
+  }
+
+  // Quiet edits don't post an edit notification, but every edit is kept in the revision history
+  const editRows = await applyDateRange(knex("thread_message_revisions"), opts.from, opts.to, "thread_message_revisions.created_at")
+    .join("thread_messages", "thread_messages.id", "thread_message_revisions.thread_message_id")
+    .where("thread_messages.message_type", THREAD_MESSAGE_TYPE.TO_USER)
+    .whereNotNull("thread_message_revisions.editor_id")
+    .select("thread_message_revisions.editor_id", "thread_message_revisions.editor_name");
+
+  for (const row of editRows) {
+    getEntry(row.editor_id, row.editor_name).edits++;
+  }
+
+  const deletionRows = await applyDateRange(knex("thread_messages"), opts.from, opts.to)
+    .where("message_type", THREAD_MESSAGE_TYPE.REPLY_DELETED)
+    .select();
+
+  for (const row of deletionRows) {
+    const moderator = getNotificationModerator(new ThreadMessage(row));
+    if (! moderator) continue;
+    getEntry(moderator.id, moderator.name).deletes++;
+  }
+
+  // Response times need the full conversation of every thread that got a reply in the range
+  const threadIds = Array.from(new Set(replyRows.map(row => row.thread_id)));
+  const replyIds = new Set(replyRows.map(row => row.id));
+  const conversationRows = threadIds.length
+    ? await knex("thread_messages")
+      .whereIn("thread_id", threadIds)
+      .whereIn("message_type", [THREAD_MESSAGE_TYPE.FROM_USER, THREAD_MESSAGE_TYPE.TO_USER])
+      .whereNull("deleted_at")
+      .orderBy("created_at", "ASC")
+      .orderBy("id", "ASC")
+      .select("id", "thread_id", "message_type", "user_id", "created_at")
+    : [];
+
+  const rowsByThread = conversationRows.reduce((map, row) => {
+    if (! map.has(row.thread_id)) map.set(row.thread_id, []);
+    map.get(row.thread_id).push(row);
+    return map;
+  }, new Map());
+
+  for (const [threadId, rows] of rowsByThread) {
+    const { replyLatencies } = calculateResponseTimes({ id: threadId, status: null }, rows);
+    for (const { threadMessageId, moderatorId, latency } of replyLatencies) {
+      if (! replyIds.has(threadMessageId) || ! statsById.has(moderatorId)) continue;
+      statsById.get(moderatorId).latencies.push(latency);
+    }
+  }
+
+  return Array.from(statsById.values())
+    .filter(entry => ! opts.moderatorId || entry.moderatorId === opts.moderatorId)
+    .map(entry => ({
+      moderatorId: entry.moderatorId,
+      moderatorName: entry.moderatorName,
+      repliesSent: entry.repliesSent,
+      threadsHandled: entry.threadIds.size,
+      medianResponseTime: median(entry.latencies),
+      anonymousReplies: entry.anonymousReplies,
+      namedReplies: entry.namedReplies,
+      anonymousRatio: entry.repliesSent ? Math.round(entry.anonymousReplies / entry.repliesSent * 100) / 100 : null,
+      edits: entry.edits,
+      deletes: entry.deletes,
+    }))
+    .sort((a, b) => b.repliesSent - a.repliesSent);
+}
+
+/**
+ * Counts closed threads per close category
+ * @param {object} opts
+ * @param {string|Date} [opts.from] Only count threads closed at or after this date
+ * @param {string|Date} [opts.to] Only count threads closed at or before this date
+ * @returns {Promise<Array<{ category: string|null, count: number }>>} Sorted by count, most first
+ */
+async function getCloseCategoryStats(opts = {}) {
+  const query = knex("threads")
+    .where("status", THREAD_STATUS.CLOSED)
+    .whereNotNull("closed_at");
+  if (opts.from) query.where("closed_at", ">=", moment.utc(opts.from).format("YYYY-MM-DD HH:mm:ss"));
+  if (opts.to) query.where("closed_at", "<=", moment.utc(opts.to).format("YYYY-MM-DD HH:mm:ss"));
+
+  const rows = await query
+    .groupBy("close_category")
+    .select("close_category")
+    .count("* as count");
+
+  return rows
+    .map(row => ({ category: row.close_category, count: Number(row.count) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Adds the !modstats command to the inbox server
+ * @param {object} commands The bot's command manager
+ */
+function registerModeratorStatsCommand(commands) {
+  commands.addInboxServerCommand("modstats", "[moderatorId:userId]", async (msg, args) => {
+    for (const key of ["from", "to"]) {
+      if (args[key] && ! moment.utc(args[key]).isValid()) {
+        msg.channel.createMessage(`Invalid date for --${key}: ${args[key]}`);
+        return;
+      }
+    }
+
+    const stats = await getModeratorStats({
+      from: args.from,
+      to: args.to,
+      moderatorId: args.moderatorId,
+    });
+    if (! stats.length) {
+      msg.channel.createMessage("No moderator activity found");
+      return;
+    }
+
+    const rangeStr = args.from || args.to ? ` from ${args.from || "the start"} to ${args.to || "now"}` : "";
+    const lines = [`**Moderator statistics${rangeStr}:**`];
+    for (const entry of stats) {
+      const responseTimeStr = entry.medianResponseTime != null
+        ? moment.duration(entry.medianResponseTime).humanize()
+        : "n/a";
+      const anonymousStr = entry.anonymousRatio != null ? `${Math.round(entry.anonymousRatio * 100)}%` : "n/a";
+      lines.push(`**${entry.moderatorName}** (${entry.moderatorId}): ${entry.repliesSent} replies in ${entry.threadsHandled} threads, median response time ${responseTimeStr}, ${anonymousStr} anonymous, ${entry.edits} edits, ${entry.deletes} deletes`);
+    }
+
+    for (const chunk of utils.chunkMessageLines(lines.join("\n"))) {
+      await msg.channel.createMessage({
+        content: chunk,
+        allowedMentions: {},
+      });
+    }
+  }, {
+    options: [
+      { name: "from" },
+      { name: "to" },
+    ],
+  });
+}
+
+module.exports = {
+  getModeratorStats,
+  getCloseCategoryStats,
+  registerModeratorStatsCommand,
+};
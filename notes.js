@@ -0,0 +1,13 @@
+/**
+ * Default formatter for internal staff notes in the thread channel
+ * @param {ThreadMessage} threadMessage
+ * @returns {string}
+ */
+function formatNoteThreadMessage(threadMessage) {
+  const editedStr = threadMessage.getMetadataValue("edited") ? " *(edited)*" : "";
+  return `📝 **Note from ${threadMessage.user_name}**${editedStr}\n${threadMessage.body}`;
+}
+
+module.exports = {
+  formatNoteThreadMessage,
+};
@@ -0,0 +1,359 @@
+const moment = require("moment");
+const Eris = require("eris");
+const bot = require("../bot");
+const knex = require("../knex");
+const utils = require("../utils");
+const config = require("../cfg");
+
+const APPROVAL_BUTTON_PREFIX = "replyApproval";
+const EDIT_MODAL_PREFIX = "replyApprovalEdit";
+const TEXT_INPUT_ID = "text";
+
+const { ComponentTypes, ButtonStyles, TextInputStyles, InteractionTypes } = Eris.Constants;
+
+const APPROVAL_ACTION = {
+  APPROVE: "approve",
+  EDIT: "edit",
+  REJECT: "reject",
+};
+
+const PENDING_REPLY_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * @typedef {object} PendingReply
+ * @property {number} id
+ * @property {string} thread_id
+ * @property {string} status One of PENDING_REPLY_STATUS
+ * @property {string} author_id
+ * @property {string} author_name
+ * @property {string} body
+ * @property {boolean} is_anonymous
+ * @property {Eris.MessageReference|null} message_reference
+ * @property {string|null} send_at
+ * @property {string|null} edited_by_name
+ * @property {string|null} reviewed_by_id
+ * @property {string|null} reviewed_by_name
+ * @property {string|null} reviewed_at
+ * @property {string|null} inbox_message_id
+ * @property {string} created_at
+ */
+
+/**
+ * @param {object} row
+ * @returns {PendingReply}
+ */
+function rowToPendingReply(row) {
+  return {
+    ...row,
+    is_anonymous: Boolean(row.is_anonymous),
+    message_reference: row.message_reference ? JSON.parse(row.message_reference) : null,
+  };
+}
+
+/**
+ * @param {object} data
+ * @param {string} data.threadId
+ * @param {{ id: string, name: string }} data.author
+ * @param {string} data.body
+ * @param {boolean} data.isAnonymous
+ * @param {Eris.MessageReference|null} data.messageReference
+ * @param {string|null} data.sendAt
+ * @returns {Promise<PendingReply>}
+ */
+async function createPendingReply(data) {
+  const insertedIds = await knex("pending_replies").insert({
+    thread_id: data.threadId,
+    status: PENDING_REPLY_STATUS.PENDING,
+    author_id: data.author.id,
+    author_name: data.author.name,
+    body: data.body,
+    is_anonymous: data.isAnonymous ? 1 : 0,
+    message_reference: data.messageReference ? JSON.stringify(data.messageReference) : null,
+    send_at: data.sendAt,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+
+  return getPendingReply(insertedIds[0]);
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<PendingReply|null>}
+ */
+async function getPendingReply(id) {
+  const row = await knex("pending_replies")
+    .where("id", id)
+    .first();
+
+  return row ? rowToPendingReply(row) : null;
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<PendingReply[]>} Replies still waiting for review, oldest first
+ */
+async function getPendingRepliesForThread(threadId) {
+  const rows = await knex("pending_replies")
+    .where("thread_id", threadId)
+    .where("status", PENDING_REPLY_STATUS.PENDING)
+    .orderBy("id", "ASC")
+    .select();
+
+  return rows.map(rowToPendingReply);
+}
+
+/**
+ * Changes a reply that is still pending. Updates to replies that have already been reviewed are ignored.
+ * @param {number} id
+ * @param {object} data
+ * @returns {Promise<boolean>} Whether the reply was still pending and got updated
+ */
+async function updatePendingReply(id, data) {
+  const updated = await knex("pending_replies")
+    .where("id", id)
+    .where("status", PENDING_REPLY_STATUS.PENDING)
+    .update(data);
+
+  return updated === 1;
+}
+
+/**
+ * Moves a pending reply to its reviewed status. Only one reviewer can succeed, so a reply can't be approved twice.
+ * @param {number} id
+ * @param {string} status PENDING_REPLY_STATUS.APPROVED or PENDING_REPLY_STATUS.REJECTED
+ * @param {{ id: string, name: string }} reviewer
+ * @returns {Promise<boolean>} Whether this call was the one to review the reply
+ */
+async function reviewPendingReply(id, status, reviewer) {
+  return updatePendingReply(id, {
+    status,
+    reviewed_by_id: reviewer.id,
+    reviewed_by_name: reviewer.name,
+    reviewed_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+}
+
+/**
+ * Puts an approved reply back up for review, e.g. if it couldn't be sent after all
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function reopenPendingReply(id) {
+  await knex("pending_replies")
+    .where("id", id)
+    .update({
+      status: PENDING_REPLY_STATUS.PENDING,
+      reviewed_by_id: null,
+      reviewed_by_name: null,
+      reviewed_at: null,
+    });
+}
+
+/**
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deletePendingReply(id) {
+  await knex("pending_replies")
+    .where("id", id)
+    .delete();
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<number>} The number of cancelled replies
+ */
+async function cancelPendingRepliesForThread(threadId) {
+  return knex("pending_replies")
+    .where("thread_id", threadId)
+    .where("status", PENDING_REPLY_STATUS.PENDING)
+    .update({ status: PENDING_REPLY_STATUS.CANCELLED });
+}
+
+/**
+ * @param {Eris.Member} member
+ * @returns {boolean} Whether the member's replies have to be approved before they're sent
+ */
+function requiresReplyApproval(member) {
+  return Boolean(config.replyApprovalRole && member.roles && member.roles.includes(config.replyApprovalRole));
+}
+
+/**
+ * Only members with one of config.replyApprovalReviewerRoles may review pending replies.
+ * If no reviewer roles are set, any staff member whose own replies don't need approval can review them.
+ * @param {Eris.Member} member
+ * @returns {boolean}
+ */
+function canReviewReplies(member) {
+  if (requiresReplyApproval(member)) return false;
+
+  const reviewerRoles = config.replyApprovalReviewerRoles || [];
+  if (reviewerRoles.length === 0) return utils.isStaff(member);
+
+  return Boolean(member.roles && member.roles.some(roleId => reviewerRoles.includes(roleId)));
+}
+
+/**
+ * @param {string} threadId
+ * @param {number} pendingReplyId
+ * @returns {object[]}
+ */
+function getApprovalComponents(threadId, pendingReplyId) {
+  const button = (action, label, style) => ({
+    type: ComponentTypes.BUTTON,
+    style,
+    label,
+    custom_id: `${APPROVAL_BUTTON_PREFIX}:${action}:${threadId}:${pendingReplyId}`,
+  });
+
+  return [
+    {
+      type: ComponentTypes.ACTION_ROW,
+      components: [
+        button(APPROVAL_ACTION.APPROVE, "Approve", ButtonStyles.SUCCESS),
+        button(APPROVAL_ACTION.EDIT, "Edit", ButtonStyles.SECONDARY),
+        button(APPROVAL_ACTION.REJECT, "Reject", ButtonStyles.DANGER),
+      ],
+    },
+  ];
+}
+
+/**
+ * @param {Eris.ComponentInteraction|Eris.ModalSubmitInteraction} interaction
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+function replyPrivately(interaction, content) {
+  return interaction.createMessage({ content, flags: 64 });
+}
+
+/**
+ * @param {Eris.ComponentInteraction} interaction
+ * @param {Thread} thread
+ * @param {string} action
+ * @param {number} pendingReplyId
+ * @returns {Promise<void>}
+ */
+async function handleButton(interaction, thread, action, pendingReplyId) {
+  const pendingReply = await thread.getPendingReply(pendingReplyId);
+  if (! pendingReply) {
+    await replyPrivately(interaction, "This reply has already been handled");
+    return;
+  }
+
+  if (action === APPROVAL_ACTION.EDIT) {
+    await interaction.createModal({
+      title: "Edit reply",
+      custom_id: `${EDIT_MODAL_PREFIX}:${thread.id}:${pendingReplyId}`,
+      components: [
+        {
+          type: ComponentTypes.ACTION_ROW,
+          components: [
+            {
+              type: ComponentTypes.TEXT_INPUT,
+              custom_id: TEXT_INPUT_ID,
+              style: TextInputStyles.PARAGRAPH,
+              label: "Reply",
+              value: pendingReply.body,
+              required: true,
+              max_length: 4000,
+            },
+          ],
+        },
+      ],
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+  if (action === APPROVAL_ACTION.APPROVE) {
+    await thread.approvePendingReply(interaction.member, pendingReplyId);
+  } else if (action === APPROVAL_ACTION.REJECT) {
+    await thread.rejectPendingReply(interaction.member, pendingReplyId);
+  }
+}
+
+/**
+ * @param {Eris.ModalSubmitInteraction} interaction
+ * @param {Thread} thread
+ * @param {number} pendingReplyId
+ * @returns {Promise<void>}
+ */
+async function handleEditSubmit(interaction, thread, pendingReplyId) {
+  const input = interaction.data.components
+    .flatMap(row => row.components)
+    .find(component => component.custom_id === TEXT_INPUT_ID);
+  if (! input || ! input.value.trim()) return;
+
+  await interaction.deferUpdate();
+  await thread.editPendingReply(interaction.member, pendingReplyId, input.value.trim());
+}
+
+/**
+ * @param {Eris.Interaction} interaction
+ * @returns {Promise<boolean>} Whether the interaction belonged to a pending reply
+ */
+async function handleReplyApprovalInteraction(interaction) {
+  if (! interaction.data || ! interaction.data.custom_id) return false;
+
+  const parts = interaction.data.custom_id.split(":");
+  const isButton = interaction.type === InteractionTypes.MESSAGE_COMPONENT && parts[0] === APPROVAL_BUTTON_PREFIX;
+  const isModal = interaction.type === InteractionTypes.MODAL_SUBMIT && parts[0] === EDIT_MODAL_PREFIX;
+  if (! isButton && ! isModal) return false;
+
+  const [threadId, rawPendingReplyId] = isButton ? parts.slice(2) : parts.slice(1);
+  const pendingReplyId = parseInt(rawPendingReplyId, 10);
+
+  const threads = require("./threads");
+  const thread = await threads.findById(threadId);
+  if (! thread || ! thread.isOpen()) {
+    await replyPrivately(interaction, "This thread is no longer open");
+    return true;
+  }
+
+  if (! interaction.member || ! canReviewReplies(interaction.member)) {
+    await replyPrivately(interaction, "You don't have permission to review replies in this thread");
+    return true;
+  }
+
+  if (isButton) {
+    await handleButton(interaction, thread, parts[1], pendingReplyId);
+  } else {
+    await handleEditSubmit(interaction, thread, pendingReplyId);
+  }
+
+  return true;
+}
+
+/**
+ * Listens for the approve, edit and reject buttons on pending replies. Does nothing unless config.replyApprovalRole is set.
+ */
+function registerReplyApprovalHandlers() {
+  if (! config.replyApprovalRole) return;
+
+  bot.on("interactionCreate", interaction => {
+    handleReplyApprovalInteraction(interaction).catch(e => console.error(e));
+  });
+}
+
+module.exports = {
+  PENDING_REPLY_STATUS,
+  createPendingReply,
+  getPendingReply,
+  getPendingRepliesForThread,
+  updatePendingReply,
+  reviewPendingReply,
+  reopenPendingReply,
+  deletePendingReply,
+  cancelPendingRepliesForThread,
+  requiresReplyApproval,
+  canReviewReplies,
+  getApprovalComponents,
+  handleReplyApprovalInteraction,
+  registerReplyApprovalHandlers,
+};
@@ -0,0 +1,102 @@
+const moment = require("moment");
+const knex = require("../knex");
+
+/**
+ * @typedef {object} ReplyDraftVersion
+ * @property {number} id
+ * @property {number} version 1-based, in the order the versions were saved
+ * @property {string} text
+ * @property {string} editorId
+ * @property {string} editorName
+ * @property {string} savedAt
+ */
+
+/**
+ * @typedef {object} ReplyDraft
+ * @property {string} ownerId
+ * @property {string} ownerName
+ * @property {boolean} isAnonymous
+ * @property {string|null} previewMessageId
+ * @property {ReplyDraftVersion[]} versions Oldest first
+ */
+
+/**
+ * Each saved version is its own row, so concurrent saves can't overwrite each other. The first version's author owns the draft.
+ * @param {string} threadId
+ * @returns {Promise<ReplyDraft|null>}
+ */
+async function getDraftForThread(threadId) {
+  const rows = await knex("reply_draft_versions")
+    .where("thread_id", threadId)
+    .orderBy("id", "ASC")
+    .select();
+  if (! rows.length) return null;
+
+  const latestRow = rows[rows.length - 1];
+  const previewRow = [...rows].reverse().find(row => row.preview_message_id);
+
+  return {
+    ownerId: rows[0].owner_id,
+    ownerName: rows[0].owner_name,
+    isAnonymous: Boolean(latestRow.is_anonymous),
+    previewMessageId: previewRow ? previewRow.preview_message_id : null,
+    versions: rows.map((row, i) => ({
+      id: row.id,
+      version: i + 1,
+      text: row.body,
+      editorId: row.editor_id,
+      editorName: row.editor_name,
+      savedAt: row.created_at,
+    })),
+  };
+}
+
+/**
+ * @param {string} threadId
+ * @param {object} data
+ * @param {{ id: string, name: string }} data.owner
+ * @param {{ id: string, name: string }} data.editor
+ * @param {string} data.text
+ * @param {boolean} data.isAnonymous
+ * @returns {Promise<void>}
+ */
+async function addDraftVersion(threadId, data) {
+  await knex("reply_draft_versions").insert({
+    thread_id: threadId,
+    owner_id: data.owner.id,
+    owner_name: data.owner.name,
+    body: data.text,
+    is_anonymous: data.isAnonymous ? 1 : 0,
+    editor_id: data.editor.id,
+    editor_name: data.editor.name,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+}
+
+/**
+ * @param {number} versionId
+ * @param {string|null} previewMessageId
+ * @returns {Promise<void>}
+ */
+async function setPreviewMessageId(versionId, previewMessageId) {
+  await knex("reply_draft_versions")
+    .where("id", versionId)
+    .update({ preview_message_id: previewMessageId });
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<void>}
+ */
+async function clearDraftForThread(threadId) {
+  await knex("reply_draft_versions")
+    .where("thread_id", threadId)
+    .delete();
+}
+
+module.exports = {
+  getDraftForThread,
+  addDraftVersion,
+  setPreviewMessageId,
+  clearDraftForThread,
+};
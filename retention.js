@@ -0,0 +1,85 @@
+const fs = require("fs");
+const moment = require("moment");
+const knex = require("../knex");
+const utils = require("../utils");
+const config = require("../cfg");
+const attachments = require("./attachments");
+const ThreadMessage = require("./ThreadMessage");
+const messageRevisions = require("./messageRevisions");
+
+const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000;
+const localAttachmentLinkRegex = /\/attachments\/(\d+)\/[^/]+$/;
+
+/**
+ * Removes locally stored attachment files linked from the given messages. Other storage types keep their files elsewhere
+ * (e.g. on Discord), so there's nothing for us to remove.
+ * @param {ThreadMessage[]} threadMessages
+ * @returns {Promise<void>}
+ */
+async function deleteLocalAttachments(threadMessages) {
+  if (config.attachmentStorage !== "local") return;
+
+  for (const threadMessage of threadMessages) {
+    for (const link of threadMessage.attachments || []) {
+      const match = link.match(localAttachmentLinkRegex);
+      if (! match) continue;
+
+      await fs.promises.unlink(attachments.getLocalAttachmentPath(match[1])).catch(utils.noop);
+    }
+  }
+}
+
+/**
+ * Permanently removes thread messages that were marked as deleted longer ago than config.deletedMessageRetention,
+ * along with their revisions and locally stored attachments
+ * @returns {Promise<number>} The number of purged messages
+ */
+async function purgeDeletedThreadMessages() {
+  if (! config.deletedMessageRetention) return 0;
+
+  const cutoff = moment.utc()
+    .subtract(utils.convertDelayStringToMS(config.deletedMessageRetention), "ms")
+    .format("YYYY-MM-DD HH:mm:ss");
+
+  const rows = await knex("thread_messages")
+    .whereNotNull("deleted_at")
+    .where("deleted_at", "<=", cutoff)
+    .select();
+  if (! rows.length) return 0;
+
+  const ids = rows.map(row => row.id);
+  await deleteLocalAttachments(rows.map(row => new ThreadMessage(row)));
+  await messageRevisions.deleteRevisionsForThreadMessages(ids);
+  await knex("thread_messages")
+    .whereIn("id", ids)
+    .delete();
+
+  return ids.length;
+}
+
+async function retentionLoop() {
+  try {
+    const purged = await purgeDeletedThreadMessages();
+    if (purged > 0) {
+      console.log(`[INFO] Purged ${purged} deleted thread message(s) past the retention window`);
+    }
+  } catch (e) {
+    console.error(e);
+  }
+
+  setTimeout(retentionLoop, RETENTION_CHECK_INTERVAL);
+}
+
+/**
+ * Starts the periodic purge of soft-deleted messages. Does nothing if config.deletedMessageRetention is not set,
+ * in which case deleted messages are kept indefinitely.
+ */
+function startRetentionLoop() {
+  if (! config.deletedMessageRetention) return;
+  retentionLoop();
+}
+
+module.exports = {
+  purgeDeletedThreadMessages,
+  startRetentionLoop,
+};
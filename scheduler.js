@@ -0,0 +1,310 @@
+const moment = require("moment");
+const knex = require("../knex");
+const utils = require("../utils");
+const config = require("../cfg");
+const { THREAD_STATUS } = require("./constants");
+
+// Upper bound for how long the scheduler sleeps, so jobs added by other processes are still picked up
+const MAX_SCHEDULER_WAIT = 60 * 1000;
+
+const JOB_TYPE = {
+  CLOSE: "close",
+  SUSPEND: "suspend",
+  AUTO_ALERT: "auto_alert",
+  REMINDER: "reminder",
+  INACTIVITY_CLOSE: "inactivity_close",
+  SCHEDULED_REPLY: "scheduled_reply",
+};
+
+/**
+ * @typedef {object} ScheduledJob
+ * @property {number} id
+ * @property {string} thread_id
+ * @property {string} type One of JOB_TYPE
+ * @property {string} run_at
+ * @property {object} payload
+ * @property {string|null} created_by_id
+ * @property {string|null} created_by_name
+ * @property {string} created_at
+ */
+
+let started = false;
+let running = false;
+let nextRunTimeout = null;
+
+/**
+ * @param {object} row
+ * @returns {ScheduledJob}
+ */
+function rowToJob(row) {
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : {},
+  };
+}
+
+/**
+ * Handlers receive the job and its thread, and are only called for threads that still exist
+ * @type {Object<string, function(ScheduledJob, Thread): Promise<void>>}
+ */
+const jobHandlers = {
+  async [JOB_TYPE.CLOSE](job, thread) {
+    // The thread's scheduled_close_* columns are still read elsewhere, so they must not outlive the job
+    await knex("threads")
+      .where("id", thread.id)
+      .update({
+        scheduled_close_at: null,
+        scheduled_close_id: null,
+        scheduled_close_name: null,
+        scheduled_close_silent: null,
+      });
+
+    if (! thread.isOpen()) return;
+
+    const silent = Boolean(job.payload.silent);
+    if (config.closeMessage && ! silent) {
+      const closeMessage = utils.readMultilineConfigValue(config.closeMessage);
+      await thread.sendSystemMessageToUser(closeMessage).catch(utils.noop);
+    }
+
+    await thread.close(false, silent);
+    await utils.postLog(`Modmail thread #${thread.thread_number} with ${thread.user_name} (${thread.user_id}) was closed as scheduled by ${job.created_by_name}`);
+  },
+
+  async [JOB_TYPE.SUSPEND](job, thread) {
+    if (! thread.isOpen()) return;
+
+    await thread.suspend();
+    await thread.postSystemMessage(`**Thread suspended** as scheduled by ${job.created_by_name}. This thread will act as closed until unsuspended with \`!unsuspend\``);
+  },
+
+  async [JOB_TYPE.AUTO_ALERT](job, thread) {
+    if (thread.status !== THREAD_STATUS.OPEN) return;
+    await thread.addAlert(job.payload.userId);
+  },
+
+  async [JOB_TYPE.REMINDER](job, thread) {
+    if (! thread.isOpen()) return;
+    await thread.postSystemMessage(`⏰ <@!${job.payload.userId}> Reminder: ${job.payload.note}`, {
+      allowedMentions: {
+        users: [job.payload.userId],
+      },
+    });
+  },
+
+  async [JOB_TYPE.INACTIVITY_CLOSE](job, thread) {
+    if (! thread.isOpen() || ! thread.getMetadataValue("inactivityWarning")) return;
+    await thread.close(false, false, { reason: "inactive", notifyUser: true });
+  },
+
+  async [JOB_TYPE.SCHEDULED_REPLY](job, thread) {
+    await thread.sendScheduledReply(job);
+  },
+};
+
+/**
+ * @param {ScheduledJob} job
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const threads = require("./threads");
+  const thread = await threads.findById(job.thread_id);
+  if (! thread) return;
+
+  const handler = jobHandlers[job.type];
+  if (! handler) {
+    console.warn(`[WARN] Skipping scheduled job ${job.id} with unknown type "${job.type}"`);
+    return;
+  }
+
+  await handler(job, thread);
+}
+
+/**
+ * Runs every job that is due, including ones that became overdue while the bot was offline
+ * @returns {Promise<void>}
+ */
+async function runDueJobs() {
+  const now = moment.utc().format("YYYY-MM-DD HH:mm:ss");
+  const rows = await knex("scheduled_jobs")
+    .where("run_at", "<=", now)
+    .orderBy("run_at", "ASC")
+    .orderBy("id", "ASC")
+    .select();
+
+  for (const row of rows) {
+    // Jobs are removed before they run so a failing job isn't retried forever
+    const removed = await knex("scheduled_jobs")
+      .where("id", row.id)
+      .delete();
+    if (! removed) continue;
+
+    await runJob(rowToJob(row)).catch(e => {
+      console.error(`Scheduled ${row.type} job ${row.id} for thread ${row.thread_id} failed: ${e.message}`);
+    });
+  }
+}
+
+/**
+ * Sleeps until the next job is due, or MAX_SCHEDULER_WAIT, whichever comes first
+ * @returns {Promise<void>}
+ */
+async function scheduleNextRun() {
+  clearTimeout(nextRunTimeout);
+
+  const nextJob = await knex("scheduled_jobs")
+    .orderBy("run_at", "ASC")
+    .first();
+
+  const wait = nextJob
+    ? Math.min(Math.max(moment.utc(nextJob.run_at, "YYYY-MM-DD HH:mm:ss").diff(moment.utc()), 0), MAX_SCHEDULER_WAIT)
+    : MAX_SCHEDULER_WAIT;
+
+  nextRunTimeout = setTimeout(schedulerLoop, wait);
+}
+
+async function schedulerLoop() {
+  running = true;
+  try {
+    await runDueJobs();
+  } catch (e) {
+    console.error(e);
+  }
+  running = false;
+
+  await scheduleNextRun().catch(e => {
+    console.error(e);
+    nextRunTimeout = setTimeout(schedulerLoop, MAX_SCHEDULER_WAIT);
+  });
+}
+
+/**
+ * Starts the scheduler. Any jobs that became due while the bot was offline are run right away.
+ */
+function startScheduler() {
+  if (started) return;
+  started = true;
+  schedulerLoop();
+}
+
+/**
+ * Wakes the scheduler up early if a new job is due before its next planned run
+ * @returns {Promise<void>}
+ */
+async function refreshSchedule() {
+  if (! started || running) return;
+  await scheduleNextRun();
+}
+
+/**
+ * @param {string} threadId
+ * @param {string} type One of JOB_TYPE
+ * @param {string|Date|moment.Moment} runAt
+ * @param {object} [payload]
+ * @param {object} [opts]
+ * @param {{ id: string, name: string }} [opts.createdBy]
+ * @param {boolean} [opts.replace] Cancel this thread's other pending jobs of the same type first
+ * @returns {Promise<ScheduledJob>}
+ */
+async function scheduleJob(threadId, type, runAt, payload = {}, opts = {}) {
+  if (opts.replace) {
+    await cancelJobsForThread(threadId, type);
+  }
+
+  const row = {
+    thread_id: threadId,
+    type,
+    run_at: moment.utc(runAt).format("YYYY-MM-DD HH:mm:ss"),
+    payload: JSON.stringify(payload),
+    created_by_id: opts.createdBy ? opts.createdBy.id : null,
+    created_by_name: opts.createdBy ? opts.createdBy.name : null,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  };
+
+  const insertedIds = await knex("scheduled_jobs").insert(row);
+  await refreshSchedule();
+
+  return rowToJob({ ...row, id: insertedIds[0] });
+}
+
+/**
+ * @param {string} threadId
+ * @returns {Promise<ScheduledJob[]>} The thread's pending jobs, soonest first
+ */
+async function getJobsForThread(threadId) {
+  const rows = await knex("scheduled_jobs")
+    .where("thread_id", threadId)
+    .orderBy("run_at", "ASC")
+    .orderBy("id", "ASC")
+    .select();
+
+  return rows.map(rowToJob);
+}
+
+/**
+ * @param {number} jobId
+ * @returns {Promise<ScheduledJob|null>}
+ */
+async function getJob(jobId) {
+  const row = await knex("scheduled_jobs")
+    .where("id", jobId)
+    .first();
+
+  return row ? rowToJob(row) : null;
+}
+
+/**
+ * @param {number} jobId
+ * @param {object} data
+ * @param {object} [data.payload] Replaces the job's payload
+ * @param {string|Date|moment.Moment} [data.runAt]
+ * @returns {Promise<ScheduledJob|null>} The updated job, or null if it had already run or been cancelled
+ */
+async function updateJob(jobId, data) {
+  const update = {};
+  if (data.payload) update.payload = JSON.stringify(data.payload);
+  if (data.runAt) update.run_at = moment.utc(data.runAt).format("YYYY-MM-DD HH:mm:ss");
+
+  const updated = await knex("scheduled_jobs")
+    .where("id", jobId)
+    .update(update);
+  if (! updated) return null;
+
+  if (update.run_at) await refreshSchedule();
+  return getJob(jobId);
+}
+
+/**
+ * @param {number} jobId
+ * @returns {Promise<boolean>} Whether a pending job was cancelled
+ */
+async function cancelJob(jobId) {
+  const removed = await knex("scheduled_jobs")
+    .where("id", jobId)
+    .delete();
+
+  return removed > 0;
+}
+
+/**
+ * @param {string} threadId
+ * @param {string} [type] Only cancel jobs of this type
+ * @returns {Promise<number>} The number of cancelled jobs
+ */
+async function cancelJobsForThread(threadId, type = null) {
+  const query = knex("scheduled_jobs").where("thread_id", threadId);
+  if (type) query.where("type", type);
+  return query.delete();
+}
+
+module.exports = {
+  JOB_TYPE,
+  startScheduler,
+  scheduleJob,
+  getJobsForThread,
+  getJob,
+  updateJob,
+  cancelJob,
+  cancelJobsForThread,
+  runDueJobs,
+};
@@ -0,0 +1,399 @@
+const moment = require("moment");
+const knex = require("../knex");
+const utils = require("../utils");
+const ThreadMessage = require("./ThreadMessage");
+const { THREAD_MESSAGE_TYPE, THREAD_STATUS } = require("./constants");
+
+const DEFAULT_PER_PAGE = 10;
+const MAX_PER_PAGE = 50;
+const MAX_CANDIDATES = 1000;
+const SNIPPET_RADIUS = 60;
+
+const messageTypeNames = Object.entries(THREAD_MESSAGE_TYPE).reduce((map, [name, value]) => {
+  map[value] = name;
+  return map;
+}, {});
+
+const likeEscapeRegex = /[!%_]/g;
+const regexEscapeRegex = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * @typedef {object} SearchOptions
+ * @property {string} [threadId] Only search within this thread
+ * @property {string} [userId] Only match messages sent by this user
+ * @property {string} [userName] Only match messages whose author name contains this
+ * @property {Array<number|string>} [messageTypes] THREAD_MESSAGE_TYPE values or their names, e.g. "FROM_USER"
+ * @property {boolean} [hasAttachments] Only match messages with (true) or without (false) attachments
+ * @property {string|Date} [from] Only match messages created at or after this date
+ * @property {string|Date} [to] Only match messages created at or before this date
+ * @property {Array<number|string>} [threadStatus] THREAD_STATUS values or their names, e.g. "OPEN"
+ * @property {number} [page] 1-based page number
+ * @property {number} [perPage]
+ * @property {string} [highlightStart] Defaults to "**"
+ * @property {string} [highlightEnd] Defaults to "**"
+ * @property {boolean} [escapeHtml] Whether to HTML-escape result snippets
+ * @property {boolean} [includeDeleted] Whether to include messages that have been marked as deleted
+ */
+
+/**
+ * @typedef {object} SearchResult
+ * @property {ThreadMessage} threadMessage
+ * @property {string} messageType Name of the message type, e.g. "NOTE"
+ * @property {string} threadId
+ * @property {number} threadNumber
+ * @property {number} threadStatus
+ * @property {string} threadUserName
+ * @property {number} score
+ * @property {string} snippet
+ */
+
+/**
+ * @typedef {object} SearchResultPage
+ * @property {SearchResult[]} results
+ * @property {number} total
+ * @property {number} page
+ * @property {number} perPage
+ * @property {number} pageCount
+ * @property {boolean} truncated Whether there were more matches than we were willing to rank
+ */
+
+/**
+ * Splits a search query into lowercase terms. Quoted parts ("like this") are kept together as a single term.
+ * @param {string} query
+ * @returns {string[]}
+ */
+function parseQuery(query) {
+  const terms = [];
+  const termRegex = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = termRegex.exec(query || "")) !== null) {
+    const term = (match[1] || match[2]).trim().toLowerCase();
+    if (term !== "" && ! terms.includes(term)) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * @param {Array<number|string>} values
+ * @param {object} enumObj
+ * @returns {number[]}
+ */
+function resolveEnumValues(values, enumObj) {
+  return values
+    .map(value => (typeof value === "string" && enumObj[value.toUpperCase()] != null) ? enumObj[value.toUpperCase()] : value)
+    .map(value => parseInt(value, 10))
+    .filter(value => ! isNaN(value));
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeLike(str) {
+  return str.replace(likeEscapeRegex, "!$&");
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegex(str) {
+  return str.replace(regexEscapeRegex, "\\$&");
+}
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtmlChars(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * @param {string|Date} date
+ * @returns {string}
+ */
+function toDBDate(date) {
+  return moment.utc(date).format("YYYY-MM-DD HH:mm:ss");
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+  const isDateLike = typeof value === "string" || value instanceof Date || moment.isMoment(value);
+  return isDateLike && moment.utc(value).isValid();
+}
+
+/**
+ * Checks search options that come from user input, e.g. query parameters or command arguments
+ * @param {SearchOptions} opts
+ * @returns {string|null} A description of the first invalid option, or null if they're all valid
+ */
+function validateSearchOptions(opts) {
+  for (const key of ["threadId", "userId", "userName"]) {
+    if (opts[key] != null && typeof opts[key] !== "string") return `${key} must be a single value`;
+  }
+
+  for (const key of ["from", "to"]) {
+    if (opts[key] != null && opts[key] !== "" && ! isValidDate(opts[key])) return `${key} must be a valid date`;
+  }
+
+  for (const key of ["page", "perPage"]) {
+    if (opts[key] != null && opts[key] !== "" && ! /^\d+$/.test(String(opts[key]))) return `${key} must be a positive number`;
+  }
+
+  return null;
+}
+
+/**
+ * Scores a matching message. Body matches weigh the most, followed by author name and attachment matches.
+ * Matching the full query as a phrase and being recent both give a small bonus.
+ * @param {object} row
+ * @param {string[]} terms
+ * @param {string} query
+ * @returns {number}
+ */
+function scoreRow(row, terms, query) {
+  const body = (row.body || "").toLowerCase();
+  const userName = (row.user_name || "").toLowerCase();
+  const attachments = (row.attachments || "").toLowerCase();
+
+  let score = 0;
+  for (const term of terms) {
+    const termRegex = new RegExp(escapeRegex(term), "g");
+    score += (body.match(termRegex) || []).length * 3;
+    score += (userName.match(termRegex) || []).length * 2;
+    score += (attachments.match(termRegex) || []).length;
+  }
+
+  const phrase = (query || "").trim().toLowerCase();
+  if (terms.length > 1 && phrase !== "" && body.includes(phrase)) {
+    score += 5;
+  }
+
+  const ageInDays = moment.utc().diff(moment.utc(row.created_at), "days", true);
+  score += 1 / (1 + Math.max(ageInDays, 0) / 30);
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Builds a short excerpt of the body around the first matching term, with every term highlighted
+ * @param {string} body
+ * @param {string[]} terms
+ * @param {string} highlightStart
+ * @param {string} highlightEnd
+ * @param {boolean} escapeHtml Whether to HTML-escape the excerpt (the highlight markers are left as-is)
+ * @returns {string}
+ */
+function buildSnippet(body, terms, highlightStart = "**", highlightEnd = "**", escapeHtml = false) {
+  body = (body || "").replace(/\s+/g, " ").trim();
+  if (body === "") return "";
+
+  const lowerBody = body.toLowerCase();
+  const firstIndex = terms
+    .map(term => lowerBody.indexOf(term))
+    .filter(index => index !== -1)
+    .reduce((min, index) => Math.min(min, index), Infinity);
+
+  let start = 0;
+  let end = Math.min(body.length, SNIPPET_RADIUS * 2);
+  if (firstIndex !== Infinity) {
+    start = Math.max(0, firstIndex - SNIPPET_RADIUS);
+    end = Math.min(body.length, firstIndex + SNIPPET_RADIUS);
+  }
+
+  const escape = escapeHtml ? escapeHtmlChars : (str => str);
+  let snippet = escape(body.slice(start, end));
+  if (terms.length) {
+    const termsRegex = new RegExp(`(${terms.map(escapeRegex).join("|")})`, "i");
+    snippet = body.slice(start, end)
+      .split(termsRegex)
+      .map((part, i) => (i % 2 === 1) ? `${highlightStart}${escape(part)}${highlightEnd}` : escape(part))
+      .join("");
+  }
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < body.length ? "…" : ""}`;
+}
+
+/**
+ * Searches thread message history across all threads (or a single thread, see opts.threadId).
+ * Every term in the query must match the message body, author name or attachment links.
+ * @param {string} query
+ * @param {SearchOptions} opts
+ * @returns {Promise<SearchResultPage>}
+ */
+async function searchThreadMessages(query, opts = {}) {
+  const invalidOption = validateSearchOptions(opts);
+  if (invalidOption) {
+    throw new Error(`Invalid search options: ${invalidOption}`);
+  }
+
+  const terms = parseQuery(query);
+  const perPage = Math.min(Math.max(parseInt(opts.perPage, 10) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+  const page = Math.max(parseInt(opts.page, 10) || 1, 1);
+
+  const dbQuery = knex("thread_messages")
+    .join("threads", "threads.id", "thread_messages.thread_id")
+    .select(
+      "thread_messages.*",
+      "threads.thread_number as thread_number",
+      "threads.status as thread_status",
+      "threads.user_name as thread_user_name"
+    );
+
+  for (const term of terms) {
+    const pattern = `%${escapeLike(term)}%`;
+    dbQuery.where(function() {
+      this.whereRaw("LOWER(thread_messages.body) LIKE ? ESCAPE '!'", [pattern])
+        .orWhereRaw("LOWER(thread_messages.user_name) LIKE ? ESCAPE '!'", [pattern])
+        .orWhereRaw("LOWER(thread_messages.attachments) LIKE ? ESCAPE '!'", [pattern]);
+    });
+  }
+
+  if (! opts.includeDeleted) {
+    dbQuery.whereNull("thread_messages.deleted_at");
+  }
+
+  if (opts.threadId) {
+    dbQuery.where("thread_messages.thread_id", opts.threadId);
+  }
+
+  if (opts.userId) {
+    dbQuery.where("thread_messages.user_id", opts.userId);
+  }
+
+  if (opts.userName) {
+    dbQuery.whereRaw("LOWER(thread_messages.user_name) LIKE ? ESCAPE '!'", [`%${escapeLike(opts.userName.toLowerCase())}%`]);
+  }
+
+  if (opts.messageTypes && opts.messageTypes.length) {
+    dbQuery.whereIn("thread_messages.message_type", resolveEnumValues(opts.messageTypes, THREAD_MESSAGE_TYPE));
+  }
+
+  if (opts.hasAttachments === true) {
+    dbQuery.whereNotNull("thread_messages.attachments").whereNot("thread_messages.attachments", "[]");
+  } else if (opts.hasAttachments === false) {
+    dbQuery.where(function() {
+      this.whereNull("thread_messages.attachments").orWhere("thread_messages.attachments", "[]");
+    });
+  }
+
+  if (opts.from) {
+    dbQuery.where("thread_messages.created_at", ">=", toDBDate(opts.from));
+  }
+
+  if (opts.to) {
+    dbQuery.where("thread_messages.created_at", "<=", toDBDate(opts.to));
+  }
+
+  if (opts.threadStatus && opts.threadStatus.length) {
+    dbQuery.whereIn("threads.status", resolveEnumValues(opts.threadStatus, THREAD_STATUS));
+  }
+
+  const rows = await dbQuery
+    .orderBy("thread_messages.created_at", "DESC")
+    .orderBy("thread_messages.id", "DESC")
+    .limit(MAX_CANDIDATES + 1);
+
+  const truncated = rows.length > MAX_CANDIDATES;
+  const candidates = rows.slice(0, MAX_CANDIDATES)
+    .map(row => ({ row, score: scoreRow(row, terms, query) }))
+    .sort((a, b) => b.score - a.score);
+
+  const results = candidates
+    .slice((page - 1) * perPage, page * perPage)
+    .map(({ row, score }) => {
+      const { thread_number, thread_status, thread_user_name, ...messageProps } = row;
+      return {
+        threadMessage: new ThreadMessage(messageProps),
+        messageType: messageTypeNames[row.message_type] || String(row.message_type),
+        threadId: row.thread_id,
+        threadNumber: thread_number,
+        threadStatus: thread_status,
+        threadUserName: thread_user_name,
+        score,
+        snippet: buildSnippet(row.body, terms, opts.highlightStart, opts.highlightEnd, opts.escapeHtml),
+      };
+    });
+
+  return {
+    results,
+    total: candidates.length,
+    page,
+    perPage,
+    pageCount: Math.ceil(candidates.length / perPage),
+    truncated,
+  };
+}
+
+/**
+ * Adds the !search command to the inbox server. When used in a thread channel, only that thread is searched.
+ * @param {object} commands The bot's command manager
+ */
+function registerSearchCommand(commands) {
+  commands.addInboxServerCommand("search", "<query$>", async (msg, args, thread) => {
+    const opts = {
+      threadId: thread ? thread.id : null,
+      userName: args.user,
+      messageTypes: args.type ? args.type.split(",") : [],
+      threadStatus: args.status ? args.status.split(",") : [],
+      from: args.from,
+      to: args.to,
+      page: args.page,
+    };
+
+    const invalidOption = validateSearchOptions(opts);
+    if (invalidOption) {
+      msg.channel.createMessage(`Invalid search: ${invalidOption}`);
+      return;
+    }
+
+    const result = await searchThreadMessages(args.query, opts);
+    if (result.total === 0) {
+      msg.channel.createMessage("No matching messages found");
+      return;
+    }
+
+    const totalStr = result.truncated ? `${result.total}+` : result.total;
+    const lines = [`**${totalStr} matching message(s)**, page ${result.page} of ${result.pageCount}:`];
+    for (const r of result.results) {
+      const date = moment.utc(r.threadMessage.created_at, "YYYY-MM-DD HH:mm:ss").format("YYYY-MM-DD");
+      lines.push(`\`${date}\` Thread #${r.threadNumber} (${r.threadUserName}), ${r.messageType} by ${r.threadMessage.user_name}: ${r.snippet}`);
+    }
+
+    for (const chunk of utils.chunkMessageLines(lines.join("\n"))) {
+      await msg.channel.createMessage({
+        content: chunk,
+        allowedMentions: {},
+      });
+    }
+  }, {
+    options: [
+      { name: "user", shortcut: "u" },
+      { name: "type", shortcut: "t" },
+      { name: "status", shortcut: "s" },
+      { name: "from" },
+      { name: "to" },
+      { name: "page", shortcut: "p" },
+    ],
+  });
+}
+
+module.exports = {
+  searchThreadMessages,
+  validateSearchOptions,
+  parseQuery,
+  buildSnippet,
+  registerSearchCommand,
+};
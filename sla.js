@@ -0,0 +1,132 @@
+const moment = require("moment");
+const utils = require("../utils");
+const config = require("../cfg");
+const { THREAD_MESSAGE_TYPE, THREAD_STATUS } = require("./constants");
+
+const SLA_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * @typedef {object} ReplyLatency
+ * @property {number} threadMessageId
+ * @property {string} moderatorId
+ * @property {number} latency Time in milliseconds between the oldest unanswered user message and the reply
+ */
+
+/**
+ * @typedef {object} ResponseTimes
+ * @property {number|null} firstResponse Milliseconds from the user's first message to the first staff reply
+ * @property {number|null} timeToClose Milliseconds from the thread's creation to it being closed
+ * @property {ReplyLatency[]} replyLatencies
+ * @property {string|null} waitingSince Creation date of the oldest user message that hasn't been answered yet
+ */
+
+/**
+ * @param {string} date
+ * @returns {number}
+ */
+function toTimestamp(date) {
+  return moment.utc(date, "YYYY-MM-DD HH:mm:ss").valueOf();
+}
+
+/**
+ * Works out response times for a thread from its messages. Messages are expected in chronological order, as returned by
+ * Thread#getThreadMessages().
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @returns {ResponseTimes}
+ */
+function calculateResponseTimes(thread, threadMessages) {
+  const replyLatencies = [];
+  let firstResponse = null;
+  let firstUserMessageAt = null;
+  let waitingSince = null;
+
+  for (const threadMessage of threadMessages) {
+    if (threadMessage.message_type === THREAD_MESSAGE_TYPE.FROM_USER) {
+      if (firstUserMessageAt == null) firstUserMessageAt = threadMessage.created_at;
+      if (waitingSince == null) waitingSince = threadMessage.created_at;
+      continue;
+    }
+
+    if (threadMessage.message_type === THREAD_MESSAGE_TYPE.TO_USER) {
+      if (waitingSince != null) {
+        replyLatencies.push({
+          threadMessageId: threadMessage.id,
+          moderatorId: threadMessage.user_id,
+          latency: toTimestamp(threadMessage.created_at) - toTimestamp(waitingSince),
+        });
+      }
+
+      if (firstResponse == null && firstUserMessageAt != null) {
+        firstResponse = toTimestamp(threadMessage.created_at) - toTimestamp(firstUserMessageAt);
+      }
+
+      waitingSince = null;
+    }
+  }
+
+  // Threads closed before closed_at was tracked fall back to their last message
+  let timeToClose = null;
+  if (thread.status === THREAD_STATUS.CLOSED && thread.closed_at) {
+    timeToClose = toTimestamp(thread.closed_at) - toTimestamp(thread.created_at);
+  } else if (thread.status === THREAD_STATUS.CLOSED && threadMessages.length) {
+    const lastMessage = threadMessages[threadMessages.length - 1];
+    timeToClose = toTimestamp(lastMessage.created_at) - toTimestamp(thread.created_at);
+  }
+
+  return {
+    firstResponse,
+    timeToClose,
+    replyLatencies,
+    waitingSince,
+  };
+}
+
+/**
+ * Checks every open thread against the configured SLA thresholds
+ * @returns {Promise<void>}
+ */
+async function checkOpenThreadSLAs() {
+  const threads = require("./threads");
+  const openThreads = await threads.getAllOpenThreads();
+  for (const thread of openThreads) {
+    await thread.checkResponseSLA().catch(e => {
+      console.error(`Failed to check SLA of thread ${thread.id}: ${e.message}`);
+    });
+  }
+}
+
+async function slaLoop() {
+  try {
+    await checkOpenThreadSLAs();
+  } catch (e) {
+    console.error(e);
+  }
+
+  setTimeout(slaLoop, SLA_CHECK_INTERVAL);
+}
+
+/**
+ * Starts the periodic SLA check. Does nothing if no SLA threshold has been configured.
+ */
+function startSLALoop() {
+  if (! config.slaResponseTime) return;
+  slaLoop();
+}
+
+/**
+ * @returns {{ responseTime: number|null, escalationTime: number|null }}
+ */
+function getSLAThresholds() {
+  return {
+    responseTime: config.slaResponseTime ? utils.convertDelayStringToMS(config.slaResponseTime) : null,
+    escalationTime: config.slaEscalationTime ? utils.convertDelayStringToMS(config.slaEscalationTime) : null,
+  };
+}
+
+module.exports = {
+  calculateResponseTimes,
+  checkOpenThreadSLAs,
+  startSLALoop,
+  getSLAThresholds,
+};
@@ -0,0 +1,316 @@
+const moment = require("moment");
+const Eris = require("eris");
+const bot = require("../bot");
+const knex = require("../knex");
+const utils = require("../utils");
+const config = require("../cfg");
+const { afterThreadClose } = require("../hooks/afterThreadClose");
+const { THREAD_MESSAGE_TYPE } = require("./constants");
+
+const RATING_BUTTON_PREFIX = "surveyRating";
+const COMMENT_MODAL_PREFIX = "surveyComment";
+const COMMENT_INPUT_ID = "comment";
+const MAX_COMMENT_LENGTH = 1000;
+
+const { ComponentTypes, ButtonStyles, TextInputStyles, InteractionTypes } = Eris.Constants;
+
+/**
+ * @typedef {object} ThreadSurvey
+ * @property {number} id
+ * @property {string} thread_id
+ * @property {string} thread_closed_at When the thread was closed. A reopened thread gets a new survey each time it's closed.
+ * @property {string} user_id
+ * @property {string} moderator_id
+ * @property {string} moderator_name
+ * @property {string} dm_message_id
+ * @property {number|null} rating
+ * @property {string|null} comment
+ * @property {string} created_at
+ * @property {string|null} responded_at
+ */
+
+/**
+ * The survey is attributed to the thread's assignee, or the moderator who replied last if nobody claimed the thread
+ * @param {Thread} thread
+ * @returns {Promise<{ id: string, name: string }|null>}
+ */
+async function getSurveyModerator(thread) {
+  if (thread.assigned_to_id) {
+    return { id: thread.assigned_to_id, name: thread.assigned_to_name };
+  }
+
+  const lastReply = await knex("thread_messages")
+    .where("thread_id", thread.id)
+    .where("message_type", THREAD_MESSAGE_TYPE.TO_USER)
+    .whereNull("deleted_at")
+    .orderBy("created_at", "DESC")
+    .orderBy("id", "DESC")
+    .first();
+
+  return lastReply ? { id: lastReply.user_id, name: lastReply.user_name } : null;
+}
+
+/**
+ * @param {number} surveyId
+ * @param {boolean} disabled
+ * @returns {object[]}
+ */
+function getRatingComponents(surveyId, disabled = false) {
+  return [
+    {
+      type: ComponentTypes.ACTION_ROW,
+      components: [1, 2, 3, 4, 5].map(rating => ({
+        type: ComponentTypes.BUTTON,
+        style: ButtonStyles.SECONDARY,
+        label: "⭐".repeat(rating),
+        custom_id: `${RATING_BUTTON_PREFIX}:${surveyId}:${rating}`,
+        disabled,
+      })),
+    },
+  ];
+}
+
+/**
+ * Sends the satisfaction survey to the user of a closed thread
+ * @param {Thread} thread
+ * @returns {Promise<void>}
+ */
+async function sendSurvey(thread) {
+  const existing = await knex("thread_surveys")
+    .where("thread_id", thread.id)
+    .where("thread_closed_at", thread.closed_at)
+    .first();
+  if (existing) return;
+
+  const dmChannel = await thread.getDMChannel();
+  if (! dmChannel) return;
+
+  const moderator = await getSurveyModerator(thread);
+  const insertedIds = await knex("thread_surveys").insert({
+    thread_id: thread.id,
+    thread_closed_at: thread.closed_at,
+    user_id: thread.user_id,
+    moderator_id: moderator ? moderator.id : null,
+    moderator_name: moderator ? moderator.name : null,
+    dm_message_id: null,
+    created_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+  });
+  const surveyId = insertedIds[0];
+
+  let dmMessage;
+  try {
+    dmMessage = await dmChannel.createMessage({
+      content: config.closeSurveyMessage || "Your thread has been closed. How satisfied were you with the help you received?",
+      components: getRatingComponents(surveyId),
+    });
+  } catch (e) {
+    await knex("thread_surveys").where("id", surveyId).delete();
+    throw e;
+  }
+
+  await knex("thread_surveys")
+    .where("id", surveyId)
+    .update({ dm_message_id: dmMessage.id });
+}
+
+/**
+ * @param {Eris.ComponentInteraction|Eris.ModalSubmitInteraction} interaction
+ * @param {string} content
+ * @returns {Promise<void>}
+ */
+function replyPrivately(interaction, content) {
+  return interaction.createMessage({ content, flags: 64 });
+}
+
+/**
+ * @param {Eris.ComponentInteraction|Eris.ModalSubmitInteraction} interaction
+ * @param {number} surveyId
+ * @returns {Promise<ThreadSurvey|null>} The survey, if it exists and belongs to the user who interacted with it
+ */
+async function getSurveyForInteraction(interaction, surveyId) {
+  const survey = await knex("thread_surveys").where("id", surveyId).first();
+  const userId = (interaction.user || interaction.member.user).id;
+  return survey && survey.user_id === userId ? survey : null;
+}
+
+/**
+ * @param {Eris.ComponentInteraction} interaction
+ * @param {number} surveyId
+ * @param {number} rating
+ * @returns {Promise<void>}
+ */
+async function handleRating(interaction, surveyId, rating) {
+  const survey = await getSurveyForInteraction(interaction, surveyId);
+  if (! survey || ! (rating >= 1 && rating <= 5)) {
+    await replyPrivately(interaction, "This survey is no longer available");
+    return;
+  }
+
+  // Ratings can't be changed afterwards
+  const updated = await knex("thread_surveys")
+    .where("id", survey.id)
+    .whereNull("rating")
+    .update({
+      rating,
+      responded_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+    });
+  if (updated !== 1) {
+    await replyPrivately(interaction, "You have already answered this survey");
+    return;
+  }
+
+  await interaction.createModal({
+    title: "Anything else you'd like to tell us?",
+    custom_id: `${COMMENT_MODAL_PREFIX}:${survey.id}`,
+    components: [
+      {
+        type: ComponentTypes.ACTION_ROW,
+        components: [
+          {
+            type: ComponentTypes.TEXT_INPUT,
+            custom_id: COMMENT_INPUT_ID,
+            style: TextInputStyles.PARAGRAPH,
+            label: "Comment (optional)",
+            required: false,
+            max_length: MAX_COMMENT_LENGTH,
+          },
+        ],
+      },
+    ],
+  });
+
+  await bot.editMessage(interaction.channel.id, survey.dm_message_id, {
+    content: `Thank you for your feedback! You rated us ${"⭐".repeat(rating)}`,
+    components: getRatingComponents(survey.id, true),
+  }).catch(utils.noop);
+}
+
+/**
+ * @param {Eris.ModalSubmitInteraction} interaction
+ * @param {number} surveyId
+ * @returns {Promise<void>}
+ */
+async function handleComment(interaction, surveyId) {
+  const survey = await getSurveyForInteraction(interaction, surveyId);
+  if (! survey || survey.rating == null) {
+    await replyPrivately(interaction, "This survey is no longer available");
+    return;
+  }
+
+  const input = interaction.data.components
+    .flatMap(row => row.components)
+    .find(component => component.custom_id === COMMENT_INPUT_ID);
+  const comment = input && input.value.trim() ? input.value.trim().slice(0, MAX_COMMENT_LENGTH) : null;
+
+  if (comment) {
+    const updated = await knex("thread_surveys")
+      .where("id", survey.id)
+      .whereNull("comment")
+      .update({ comment });
+    if (updated !== 1) {
+      await replyPrivately(interaction, "You have already left a comment on this survey");
+      return;
+    }
+  }
+
+  await interaction.createMessage("Thanks! Your comment has been saved.");
+}
+
+/**
+ * @param {Eris.Interaction} interaction
+ * @returns {Promise<boolean>} Whether the interaction belonged to a survey
+ */
+async function handleSurveyInteraction(interaction) {
+  if (! interaction.data || ! interaction.data.custom_id) return false;
+  const [prefix, surveyId, rating] = interaction.data.custom_id.split(":");
+  if (prefix !== RATING_BUTTON_PREFIX && prefix !== COMMENT_MODAL_PREFIX) return false;
+
+  if (! /^\d+$/.test(surveyId)) {
+    await replyPrivately(interaction, "This survey is no longer available");
+    return true;
+  }
+
+  if (interaction.type === InteractionTypes.MESSAGE_COMPONENT && prefix === RATING_BUTTON_PREFIX) {
+    await handleRating(interaction, parseInt(surveyId, 10), parseInt(rating, 10));
+    return true;
+  }
+
+  if (interaction.type === InteractionTypes.MODAL_SUBMIT && prefix === COMMENT_MODAL_PREFIX) {
+    await handleComment(interaction, parseInt(surveyId, 10));
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Aggregated survey results, overall and per moderator
+ * @param {object} opts
+ * @param {string|Date} [opts.from] Only count responses at or after this date
+ * @param {string|Date} [opts.to] Only count responses at or before this date
+ * @returns {Promise<object>}
+ */
+async function getSurveyStats(opts = {}) {
+  const query = knex("thread_surveys").whereNotNull("rating");
+  if (opts.from) query.where("responded_at", ">=", moment.utc(opts.from).format("YYYY-MM-DD HH:mm:ss"));
+  if (opts.to) query.where("responded_at", "<=", moment.utc(opts.to).format("YYYY-MM-DD HH:mm:ss"));
+  const rows = await query.select();
+
+  const average = ratings => ratings.length
+    ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 100) / 100
+    : null;
+
+  const byModerator = rows.reduce((map, row) => {
+    const key = row.moderator_id || "unknown";
+    map[key] = map[key] || { moderatorId: row.moderator_id, moderatorName: row.moderator_name, ratings: [] };
+    map[key].ratings.push(row.rating);
+    return map;
+  }, {});
+
+  return {
+    responses: rows.length,
+    averageRating: average(rows.map(row => row.rating)),
+    distribution: [1, 2, 3, 4, 5].reduce((map, rating) => {
+      map[rating] = rows.filter(row => row.rating === rating).length;
+      return map;
+    }, {}),
+    comments: rows.filter(row => row.comment).length,
+    moderators: Object.values(byModerator).map(entry => ({
+      moderatorId: entry.moderatorId,
+      moderatorName: entry.moderatorName,
+      responses: entry.ratings.length,
+      averageRating: average(entry.ratings),
+    })),
+  };
+}
+
+/**
+ * Sends surveys after threads are closed (unless closed silently) and handles the user's responses.
+ * Does nothing unless config.closeSurvey is enabled.
+ */
+function registerSurveyHooks() {
+  if (! config.closeSurvey) return;
+
+  afterThreadClose(async ({ threadId, silent }) => {
+    if (silent) return;
+
+    const threads = require("./threads");
+    const thread = await threads.findById(threadId);
+    if (! thread) return;
+
+    await sendSurvey(thread).catch(e => {
+      console.error(`Failed to send survey for thread ${threadId}: ${e.message}`);
+    });
+  });
+
+  bot.on("interactionCreate", interaction => {
+    handleSurveyInteraction(interaction).catch(e => console.error(e));
+  });
+}
+
+module.exports = {
+  sendSurvey,
+  handleSurveyInteraction,
+  getSurveyStats,
+  registerSurveyHooks,
+};
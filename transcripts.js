@@ -0,0 +1,317 @@
+const moment = require("moment");
+const { THREAD_MESSAGE_TYPE, THREAD_STATUS } = require("./constants");
+
+const TRANSCRIPT_FORMAT = {
+  HTML: "html",
+  MARKDOWN: "md",
+  JSON: "json",
+};
+
+const messageTypeNames = Object.entries(THREAD_MESSAGE_TYPE).reduce((map, [name, value]) => {
+  map[value] = name;
+  return map;
+}, {});
+
+const threadStatusNames = Object.entries(THREAD_STATUS).reduce((map, [name, value]) => {
+  map[value] = name;
+  return map;
+}, {});
+
+/**
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+  return String(str == null ? "" : str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return moment.utc(date).format("YYYY-MM-DD HH:mm:ss [UTC]");
+}
+
+/**
+ * @param {ThreadMessage} threadMessage
+ * @returns {string}
+ */
+function getAuthorLabel(threadMessage) {
+  switch (threadMessage.message_type) {
+    case THREAD_MESSAGE_TYPE.FROM_USER:
+      return threadMessage.user_name;
+    case THREAD_MESSAGE_TYPE.TO_USER: {
+      const parts = [];
+      if (threadMessage.role_name) parts.push(`(${threadMessage.role_name})`);
+      parts.push(threadMessage.user_name);
+      if (threadMessage.is_anonymous) parts.push("[anonymous]");
+      return parts.join(" ");
+    }
+    case THREAD_MESSAGE_TYPE.CHAT:
+    case THREAD_MESSAGE_TYPE.COMMAND:
+      return threadMessage.user_name;
+    case THREAD_MESSAGE_TYPE.NOTE:
+      return `📝 ${threadMessage.user_name}`;
+    case THREAD_MESSAGE_TYPE.SYSTEM_TO_USER:
+      return "System → user";
+    default:
+      return "System";
+  }
+}
+
+/**
+ * Returns the text that should be shown for the message in a transcript.
+ * Edit and deletion notifications don't have a body of their own, so we build one from their metadata.
+ * @param {ThreadMessage} threadMessage
+ * @returns {string}
+ */
+function getDisplayBody(threadMessage) {
+  if (threadMessage.message_type === THREAD_MESSAGE_TYPE.REPLY_EDITED) {
+    const original = threadMessage.getMetadataValue("originalThreadMessage");
+    const newBody = threadMessage.getMetadataValue("newBody");
+    const replyId = original && original.message_number ? ` #${original.message_number}` : "";
+    return `Reply${replyId} edited.\nBefore: ${original ? original.body : ""}\nAfter: ${newBody || ""}`;
+  }
+
+  if (threadMessage.message_type === THREAD_MESSAGE_TYPE.REPLY_DELETED) {
+    const original = threadMessage.getMetadataValue("originalThreadMessage");
+    const replyId = original && original.message_number ? ` #${original.message_number}` : "";
+    return `Reply${replyId} deleted.\nContent: ${original ? original.body : ""}`;
+  }
+
+  return threadMessage.body || "";
+}
+
+/**
+ * @param {ThreadMessage} threadMessage
+ * @returns {number|null}
+ */
+function getInlineReplyTarget(threadMessage) {
+  return threadMessage.getMetadataValue("inlineReplyToThreadMessageId") || null;
+}
+
+/**
+ * @param {object} message Transcript message, see buildTranscriptData()
+ * @returns {string}
+ */
+function getDeletedByLabel(message) {
+  if (message.deleted_by_user) return " by the user";
+  return message.deleted_by ? ` by ${message.deleted_by}` : "";
+}
+
+/**
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @param {object} revisions Message revisions grouped by thread message ID, see messageRevisions.getRevisionsForThread()
+ * @returns {object}
+ */
+function buildTranscriptData(thread, threadMessages, revisions = {}) {
+  return {
+    thread: {
+      id: thread.id,
+      thread_number: thread.thread_number,
+      status: threadStatusNames[thread.status] || thread.status,
+      user_id: thread.user_id,
+      user_name: thread.user_name,
+      created_at: thread.created_at,
+    },
+    generated_at: moment.utc().format("YYYY-MM-DD HH:mm:ss"),
+    messages: threadMessages.map(threadMessage => ({
+      id: threadMessage.id,
+      type: messageTypeNames[threadMessage.message_type] || String(threadMessage.message_type),
+      message_number: threadMessage.message_number || null,
+      created_at: threadMessage.created_at,
+      user_id: threadMessage.user_id,
+      user_name: threadMessage.user_name,
+      author: getAuthorLabel(threadMessage),
+      role_name: threadMessage.role_name || null,
+      is_anonymous: Boolean(threadMessage.is_anonymous),
+      body: getDisplayBody(threadMessage),
+      attachments: threadMessage.attachments || [],
+      reply_to: getInlineReplyTarget(threadMessage),
+      pinned: Boolean(threadMessage.getMetadataValue("pinned")),
+      edited: Boolean(threadMessage.getMetadataValue("edited")),
+      deleted_by_user: Boolean(threadMessage.getMetadataValue("deletedByUser")),
+      deleted_at: threadMessage.deleted_at || null,
+      deleted_by: threadMessage.deleted_by || null,
+      edit_history: (revisions[threadMessage.id] || []).map(revision => ({
+        old_body: revision.old_body,
+        new_body: revision.new_body,
+        editor_id: revision.editor_id,
+        editor_name: revision.editor_name,
+        edited_at: revision.created_at,
+      })),
+      dm_message_id: threadMessage.dm_message_id || null,
+      inbox_message_id: threadMessage.inbox_message_id || null,
+    })),
+  };
+}
+
+/**
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @param {object} revisions
+ * @returns {string}
+ */
+function renderJsonTranscript(thread, threadMessages, revisions = {}) {
+  return JSON.stringify(buildTranscriptData(thread, threadMessages, revisions), null, 2);
+}
+
+/**
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @param {object} revisions
+ * @returns {string}
+ */
+function renderMarkdownTranscript(thread, threadMessages, revisions = {}) {
+  const data = buildTranscriptData(thread, threadMessages, revisions);
+  const lines = [
+    `# Modmail thread #${data.thread.thread_number} with ${data.thread.user_name}`,
+    "",
+    `- User: ${data.thread.user_name} (${data.thread.user_id})`,
+    `- Opened: ${formatDate(data.thread.created_at)}`,
+    `- Status: ${data.thread.status}`,
+    `- Exported: ${formatDate(data.generated_at)}`,
+    "",
+  ];
+
+  for (const message of data.messages) {
+    const number = message.message_number ? ` #${message.message_number}` : "";
+    lines.push(`<a id="message-${message.id}"></a>`);
+    lines.push(`**[${formatDate(message.created_at)}] [${message.type}${number}] ${message.author}**`);
+    if (message.deleted_at) {
+      lines.push(`*Deleted at ${formatDate(message.deleted_at)}${getDeletedByLabel(message)}*`);
+    }
+    if (message.reply_to) {
+      lines.push(`> ↪ in reply to [message ${message.reply_to}](#message-${message.reply_to})`);
+    }
+
+    if (message.body) {
+      lines.push("");
+      lines.push(message.type === "NOTE" ? message.body.split("\n").map(line => `> ${line}`).join("\n") : message.body);
+    }
+
+    for (const edit of message.edit_history) {
+      lines.push(`- Edited by ${edit.editor_name || "unknown"} at ${formatDate(edit.edited_at)}, previously: ${edit.old_body}`);
+    }
+
+    for (const link of message.attachments) {
+      lines.push(`- Attachment: <${link}>`);
+    }
+
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @param {object} revisions
+ * @returns {string}
+ */
+function renderHtmlTranscript(thread, threadMessages, revisions = {}) {
+  const data = buildTranscriptData(thread, threadMessages, revisions);
+  const title = `Modmail thread #${data.thread.thread_number} with ${data.thread.user_name}`;
+
+  const messageHtml = data.messages.map(message => {
+    const number = message.message_number ? ` #${message.message_number}` : "";
+    const replyHtml = message.reply_to
+      ? `<div class="reply">↪ in reply to <a href="#message-${message.reply_to}">message ${message.reply_to}</a></div>`
+      : "";
+    const deletedHtml = message.deleted_at
+      ? `<div class="deleted-notice">Deleted at ${escapeHtml(formatDate(message.deleted_at))}${escapeHtml(getDeletedByLabel(message))}</div>`
+      : "";
+    const editHistoryHtml = message.edit_history
+      .map(edit => `<li>Edited by ${escapeHtml(edit.editor_name || "unknown")} at ${escapeHtml(formatDate(edit.edited_at))}, previously: ${escapeHtml(edit.old_body)}</li>`)
+      .join("");
+    const attachmentHtml = message.attachments
+      .map(link => `<li><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></li>`)
+      .join("");
+
+    return `<div class="message type-${message.type.toLowerCase()}${message.is_anonymous ? " anonymous" : ""}${message.pinned ? " pinned" : ""}${message.deleted_at ? " deleted" : ""}" id="message-${message.id}">
+  <div class="meta"><span class="date">${escapeHtml(formatDate(message.created_at))}</span> <span class="type">${escapeHtml(message.type)}${number}</span> <span class="author">${escapeHtml(message.author)}</span></div>
+  ${deletedHtml}
+  ${replyHtml}
+  <div class="body">${escapeHtml(message.body)}</div>
+  ${editHistoryHtml ? `<ul class="edit-history">${editHistoryHtml}</ul>` : ""}
+  ${attachmentHtml ? `<ul class="attachments">${attachmentHtml}</ul>` : ""}
+</div>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; background: #36393f; color: #dcddde; margin: 0 auto; max-width: 960px; padding: 16px; }
+.message { border-left: 4px solid #72767d; margin: 8px 0; padding: 4px 12px; }
+.message .meta { font-size: 0.85em; color: #b9bbbe; }
+.message .author { font-weight: bold; color: #fff; }
+.message .body { white-space: pre-wrap; margin-top: 4px; }
+.message .reply { font-size: 0.85em; color: #b9bbbe; }
+.type-from_user { border-color: #43b581; }
+.type-to_user { border-color: #7289da; }
+.type-chat, .type-command { border-color: #faa61a; }
+.type-reply_edited, .type-reply_deleted { border-color: #f04747; }
+.type-note { border-color: #fee75c; background: #40444b; }
+.type-note .body { font-style: italic; }
+.pinned .meta::before { content: "📌 "; }
+.edit-history { font-size: 0.85em; color: #b9bbbe; }
+.deleted { opacity: 0.6; }
+.deleted .body { text-decoration: line-through; }
+.deleted-notice { font-size: 0.85em; color: #f04747; }
+.anonymous .author { font-style: italic; }
+a { color: #00b0f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>
+  <li>User: ${escapeHtml(data.thread.user_name)} (${escapeHtml(data.thread.user_id)})</li>
+  <li>Opened: ${escapeHtml(formatDate(data.thread.created_at))}</li>
+  <li>Status: ${escapeHtml(data.thread.status)}</li>
+  <li>Exported: ${escapeHtml(formatDate(data.generated_at))}</li>
+</ul>
+${messageHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {Thread} thread
+ * @param {ThreadMessage[]} threadMessages
+ * @param {string} format One of TRANSCRIPT_FORMAT
+ * @param {object} revisions
+ * @returns {string}
+ */
+function renderTranscript(thread, threadMessages, format = TRANSCRIPT_FORMAT.HTML, revisions = {}) {
+  switch (format) {
+    case TRANSCRIPT_FORMAT.HTML:
+      return renderHtmlTranscript(thread, threadMessages, revisions);
+    case TRANSCRIPT_FORMAT.MARKDOWN:
+      return renderMarkdownTranscript(thread, threadMessages, revisions);
+    case TRANSCRIPT_FORMAT.JSON:
+      return renderJsonTranscript(thread, threadMessages, revisions);
+    default:
+      throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+module.exports = {
+  TRANSCRIPT_FORMAT,
+  renderTranscript,
+  renderHtmlTranscript,
+  renderMarkdownTranscript,
+  renderJsonTranscript,
+  buildTranscriptData,
+};